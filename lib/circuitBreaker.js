@@ -0,0 +1,150 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as metrics from './metrics.js';
+import {LRUCache as LRU} from 'lru-cache';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note on circuit breaking: Failures to poll watched resources are tracked
+per origin (e.g., per VC API exchange server). Only failures that indicate
+that an origin is unavailable (see `isOriginFailure()`) count; other errors,
+e.g., a 404 response for an unknown resource, show that the origin is
+available, so clients cannot open the circuit for an origin by polling
+resources that do not exist. Once `failureThreshold` consecutive polling
+operations for watched resources at an origin fail, the circuit for the
+origin is "open" and polling operations for it fail fast for `cooldown`
+milliseconds. After that, the circuit is "half-open" and a single polling
+operation is allowed to probe the origin; if it succeeds, the circuit is
+closed again, otherwise, it is opened for another `cooldown`. If a probe does
+not report its outcome (e.g., because it was aborted by its callers), another
+probe is allowed after `cooldown` milliseconds. Watched resources with IDs
+that are not HTTP(S) URLs are not subject to circuit breaking. */
+let CIRCUITS;
+
+bedrock.events.on('bedrock.init', () => {
+  _createCircuits();
+});
+
+/**
+ * Ensures a polling operation for the watched resource identified by `id` is
+ * allowed, i.e., that the circuit for its origin is not open. If the circuit
+ * is half-open, the caller becomes the probe for the origin and it must
+ * report the outcome of its polling operation via `recordSuccess()` or
+ * `recordFailure()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the watched resource.
+ */
+export function assertClosed({id} = {}) {
+  const circuit = _getCircuit({id});
+  if(!circuit || circuit.openedAt === undefined) {
+    return;
+  }
+  const {cooldown} = bedrock.config.notify.circuitBreaker;
+  const now = Date.now();
+  const remaining = circuit.openedAt + cooldown - now;
+  if(remaining <= 0 && !(circuit.probeStarted + cooldown > now)) {
+    // half-open; allow this operation to probe the origin
+    circuit.probeStarted = now;
+    return;
+  }
+  metrics.increment({name: 'pollsRejected', label: 'circuit'});
+  throw new BedrockError(
+    'Too many failures polling resources at this origin; try again later.', {
+      name: 'NetworkError',
+      details: {
+        origin: circuit.origin,
+        retryAfter: Math.ceil(Math.max(remaining, 0) / 1000),
+        public: true,
+        httpStatusCode: 503
+      }
+    });
+}
+
+/**
+ * Records a successful polling operation for the watched resource identified
+ * by `id`, closing the circuit for its origin.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the watched resource.
+ */
+export function recordSuccess({id} = {}) {
+  const origin = _getOrigin({id});
+  if(origin !== undefined) {
+    CIRCUITS.delete(origin);
+  }
+}
+
+/**
+ * Records a failed polling operation for the watched resource identified by
+ * `id`, opening the circuit for its origin if the failure threshold has been
+ * reached or if the operation was a probe.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the watched resource.
+ */
+export function recordFailure({id} = {}) {
+  const origin = _getOrigin({id});
+  const {failureThreshold} = bedrock.config.notify.circuitBreaker;
+  if(origin === undefined || !(failureThreshold > 0)) {
+    return;
+  }
+  let circuit = CIRCUITS.get(origin);
+  if(!circuit) {
+    circuit = {origin, failures: 0};
+    CIRCUITS.set(origin, circuit);
+  }
+  circuit.failures++;
+  if(circuit.probeStarted !== undefined ||
+    circuit.failures >= failureThreshold) {
+    circuit.openedAt = Date.now();
+    circuit.probeStarted = undefined;
+  }
+}
+
+/**
+ * Determines whether an error from a polling operation indicates that the
+ * origin of the watched resource is unavailable, i.e., that it is a network
+ * error, a timeout, or a 5xx response. An error that includes the HTTP
+ * status of an upstream response (as `details.upstreamStatus`, `status`, or
+ * `cause.status`) or its own `details.httpStatusCode` that is less than 500
+ * does not.
+ *
+ * @param {object} options - Options to use.
+ * @param {Error} options.error - The error.
+ *
+ * @returns {boolean} `true` if the error indicates that the origin is
+ *   unavailable.
+ */
+export function isOriginFailure({error} = {}) {
+  const status = error?.details?.upstreamStatus ?? error?.status ??
+    error?.cause?.status ?? error?.details?.httpStatusCode;
+  return !(Number.isInteger(status) && status < 500);
+}
+
+// exposed for testing purposes only
+export function _resetCircuits() {
+  _createCircuits();
+}
+
+function _createCircuits() {
+  const {max} = bedrock.config.notify.circuitBreaker;
+  CIRCUITS = new LRU({max});
+}
+
+function _getCircuit({id}) {
+  const origin = _getOrigin({id});
+  return origin === undefined ? undefined : CIRCUITS.get(origin);
+}
+
+function _getOrigin({id}) {
+  if(!URL.canParse(id)) {
+    return;
+  }
+  const {origin, protocol} = new URL(id);
+  if(protocol === 'https:' || protocol === 'http:') {
+    return origin;
+  }
+}
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 import {NAMESPACE} from './constants.js';
@@ -29,14 +29,230 @@ cfg.caches = {
     // 30 seconds by default; then result will have to be read again; note
     // that immutable results can have longer TTLs set in code
     ttl: 30 * 1000
-  }
+  },
+  // poll error cache holds errors from failed polling operations for a short
+  // period of time so that repeated requests for a watched resource that
+  // cannot be polled (e.g., because its server is down) fail without polling
+  // it again; requests that do not use the poll result cache (`useCache:
+  // false`) are not affected; set `ttl` to `0` to disable
+  pollError: {
+    max: 1000,
+    // 5 seconds by default
+    ttl: 5 * 1000
+  },
+  // push token use cache records the nonces of push tokens that have a
+  // limited number of uses (e.g., one-time push tokens) until they expire so
+  // that reuse can be detected; when it is full, push tokens with new nonces
+  // are rejected until recorded nonces expire; only used when
+  // `storage.pushTokenUse` is "memory"
+  pushTokenUse: {
+    max: 100000
+  },
+  // push token revocation cache records revoked push tokens until they expire
+  // (and revocations by event or issuance window until their given expiration
+  // date, if any); when it is full, new revocations fail until recorded ones
+  // expire; only used when `storage.pushTokenRevocation` is "memory"
+  pushTokenRevocation: {
+    max: 100000
+  },
+  // per-namespace poll result cache settings; poll results are scoped to the
+  // namespace passed to `poll()` ("default" if none is given); a namespace
+  // configured here gets its own in-memory poll result cache that uses these
+  // settings (merged over `pollResult` above) when the default in-memory
+  // storage is used; with other storage, only `ttl` is applied, e.g.:
+  // myNamespace: {pollResult: {max: 1000, ttl: 10 * 1000}}
+  namespaces: {}
+};
+
+cfg.delta = {
+  // number of previous poll result values kept per watched resource so that
+  // JSON patches can be returned to callers that already have one of those
+  // values; note that this increases the storage needed per poll result;
+  // set to `0` to disable
+  historySize: 3
+};
+
+cfg.longPoll = {
+  // interval at which a long-polling operation polls for a fresh result
+  // while waiting for a new result; a result polled within the interval
+  // (e.g., for another long-polling operation) is reused instead
+  pollInterval: 5 * 1000,
+  // default maximum time a long-polling operation waits for a new result
+  timeout: 30 * 1000
+};
+
+cfg.serverEvents = {
+  // interval at which heartbeat comments are sent on Server-Sent Events
+  // streams to keep connections (and any proxies) from timing out
+  heartbeatInterval: 15 * 1000,
+  // reconnection time sent to Server-Sent Events clients via `retry:`
+  retry: 5 * 1000
+};
+
+cfg.webSockets = {
+  // interval at which WebSocket clients are pinged; clients that do not
+  // respond before the next ping are disconnected
+  heartbeatInterval: 30 * 1000,
+  // maximum number of watched resources a WebSocket client can subscribe to
+  // at once
+  maxSubscriptions: 100
+};
+
+cfg.pushCallbacks = {
+  // interval during which repeated callbacks for the same watched resource
+  // to routes created via `createPushCallbackRoute()` are debounced; the
+  // first callback triggers a poll immediately and later ones trigger one
+  // more poll at the end of the interval; set to `0` to disable
+  debounce: 1000
+};
+
+cfg.staleWhileRevalidate = {
+  // default for the `staleWhileRevalidate` option of `poll()`; when enabled,
+  // an expired poll result is returned immediately, marked with `stale: true`,
+  // while a fresh result is polled for in the background
+  enabled: false,
+  // maximum time after a poll result expires that it can still be returned
+  // as stale; expired results are also used within this time to continue
+  // their `sequence` when a fresh result is polled for
+  maxStale: 60 * 1000
+};
+
+cfg.storage = {
+  // storage for poll results; "memory" stores results in a per-process LRU
+  // cache (see `caches.pollResult`); "mongodb" stores results in a database
+  // collection that is shared across processes so that each process sees the
+  // same result and `sequence` for a watched resource; "mongodb" requires
+  // `@bedrock/mongodb` to be loaded by the application; custom storage can
+  // also be set via `setPollResultStorage()`
+  pollResult: 'memory',
+  // storage for polling leases; `null` disables leases; when enabled, a
+  // process must acquire a lease on a watched resource before polling it so
+  // that only one process polls it at a time, while other processes wait for
+  // the lease to be released and then use the stored poll result; leases are
+  // only useful when poll result storage is shared across processes, e.g.,
+  // "mongodb"; "memory" is a per-process stand-in for testing; custom storage
+  // can also be set via `setLeaseStorage()`
+  lease: null,
+  // storage for uses of push tokens that have a limited number of uses;
+  // "memory" records uses in a per-process cache (see `caches.pushTokenUse`),
+  // so push tokens can be used up to their limit in each process; "mongodb"
+  // records uses in a database collection that is shared across processes;
+  // custom storage can also be set via `push.setPushTokenUseStorage()`
+  pushTokenUse: 'memory',
+  // storage for push token revocations; "memory" records revocations in a
+  // per-process cache (see `caches.pushTokenRevocation`), so a revocation
+  // only applies in the process that made it; "mongodb" records revocations
+  // in a database collection that is shared across processes; custom storage
+  // can also be set via `push.setPushTokenRevocationStorage()`
+  pushTokenRevocation: 'memory'
+};
+
+cfg.leases = {
+  // maximum time a lease is held; if a process fails to release a lease
+  // (e.g., because it crashed), another process may acquire it once expired
+  ttl: 30 * 1000,
+  // interval at which waiting processes check whether a lease was released
+  retryInterval: 250
+};
+
+cfg.pollers = {
+  // maximum time a polling operation (a call to a poller) may take before it
+  // is aborted; this frees its slot in the poll cache even if an upstream
+  // server hangs
+  timeout: 30 * 1000
+};
+
+cfg.circuitBreaker = {
+  // number of consecutive failed polling operations for watched resources at
+  // the same origin (e.g., a VC API exchange server) after which polling
+  // operations for that origin fail fast, without calling a poller, until
+  // `cooldown` expires; set to `0` to disable
+  failureThreshold: 5,
+  // time to fail fast before allowing a single polling operation to probe
+  // whether the origin has recovered
+  cooldown: 30 * 1000,
+  // maximum number of origins to track failures for
+  max: 1000
+};
+
+cfg.shutdown = {
+  // maximum time to wait for in-flight polling operations to settle when the
+  // process is stopping before aborting them; streaming clients (Server-Sent
+  // Events and WebSockets) are told to reconnect and new polls are rejected
+  // with a 503 error in the meantime
+  drainTimeout: 10 * 1000
+};
+
+cfg.quotas = {
+  // limits for fresh polls (polling operations started because no usable poll
+  // result is cached, including those started via `useCache: false`) per
+  // quota key passed to `poll()`, e.g., a client IP address or an account or
+  // tenant ID; fresh polls that join an in-flight polling operation for the
+  // same watched resource do not count against quotas; starting a hub loop
+  // (e.g., for a Server-Sent Events stream) also counts as a fresh poll
+  default: {
+    // maximum number of fresh polls per `interval`; set `max` to `0` to
+    // disable
+    rate: {max: 60, interval: 60 * 1000},
+    // maximum number of concurrent fresh polls; set to `0` to disable
+    concurrency: 10
+  },
+  // limits for quota keys that start with a given prefix followed by ":"
+  // (merged over `default` above), e.g.:
+  // tenant: {rate: {max: 600, interval: 60 * 1000}, concurrency: 100}
+  prefixes: {},
+  // maximum number of quota keys to track
+  max: 10000
+};
+
+cfg.metrics = {
+  // path of a route that serves metrics (see `getStats()`) in Prometheus text
+  // format, e.g., "/metrics"; `null` disables the route; note that the route
+  // is not authenticated, so access to it should be restricted by other means
+  route: null
 };
 
 cfg.push = {
-  hmacKey: null
+  // HMAC keys for push tokens, newest first; the first key signs new push
+  // tokens and every key verifies push tokens that include its `id`; to rotate
+  // keys, add a new key to the front and give the old key a `verifyUntil` date
+  // (e.g., the latest expiration date of the push tokens it signed), after
+  // which it is retired and push tokens signed by it are rejected
+  hmacKeys: [],
   /*
-  hmacKey: {
+  hmacKeys: [{
     id: '<a key identifier>',
     secretKeyMultibase: '<multibase encoding of an AES-256 secret key>'
-  }*/
+  }, {
+    id: '<a previous key identifier>',
+    secretKeyMultibase: '<multibase encoding of an AES-256 secret key>',
+    verifyUntil: '2026-01-01T00:00:00Z'
+  }],
+  */
+  // deprecated single HMAC key; used as the last key in `hmacKeys` and to
+  // verify push tokens that were created without a key ID
+  hmacKey: null,
+  // Ed25519 or P-256 keys for push tokens, newest first, with the same shape
+  // and rotation rules as `hmacKeys`; if set, the first key signs new push
+  // tokens instead of the first HMAC key so that third parties can verify
+  // them with its public key; the `secretKeyMultibase` of each key is a
+  // multikey-encoded secret key, e.g., an application's Ed25519 identity key
+  signatureKeys: [],
+  // lifetimes of push tokens; `createPushToken()` uses `default` if no
+  // `expires` date is given and rejects `expires` dates more than `max` after
+  // creation; `verifyPushToken()` also rejects push tokens that were created
+  // with a longer lifetime than `max`
+  lifetime: {
+    default: 20 * 60 * 1000,
+    max: 24 * 60 * 60 * 1000
+  },
+  // allowance for clock skew between servers when checking a push token's
+  // `expires` and `notBefore` dates
+  maxClockSkew: 5 * 60 * 1000,
+  // path template for push-token-based callback URLs; it is the default path
+  // for both `push.createCallbackUrl()` and `createPushCallbackRoute()` so
+  // that created callback URLs always match the route; it must include a
+  // `:pushToken` parameter and may include others, e.g.,
+  // `/workflows/:workflowId/callbacks/:pushToken`
+  callbackPath: '/callbacks/:pushToken'
 };
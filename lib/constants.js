@@ -1,4 +1,10 @@
 /*!
- * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2025-2026 Digital Bazaar, Inc. All rights reserved.
  */
 export const NAMESPACE = 'notify';
+
+// namespace for poll results when none is given
+export const DEFAULT_NAMESPACE = 'default';
+
+// fifteen minute max TTL for poll results
+export const MAX_TTL = 1000 * 60 * 15;
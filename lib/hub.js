@@ -0,0 +1,176 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as quotas from './quotas.js';
+import assert from 'assert-plus';
+import {DEFAULT_NAMESPACE} from './constants.js';
+import {logger} from './logger.js';
+import {poll} from './poll.js';
+
+/* Note on the hub: Transports that stream poll results to clients (e.g.,
+Server-Sent Events or WebSockets) subscribe to watched resources via the hub
+instead of each running their own polling loop. The hub runs a single loop
+per watched resource (and namespace) that long-polls via `poll()` and
+broadcasts each new result to every subscriber. The loop stops once the last
+subscriber unsubscribes, a result is immutable, or polling fails. As the loop
+is shared, its polls do not count against any subscriber's quotas; instead,
+starting a loop counts as a fresh poll against the quotas of the subscriber
+that starts it. Every loop is stopped when the process is stopping. */
+const HUBS = new Map();
+
+bedrock.events.on('bedrock-notify.stop', () => {
+  for(const [key, entry] of HUBS) {
+    HUBS.delete(key);
+    entry.controller.abort();
+    for(const subscriber of entry.subscribers) {
+      _call({fn: subscriber.onStop});
+    }
+  }
+});
+
+/**
+ * Subscribes to poll results for a watched resource. `onResult` is called
+ * with the latest poll result (see `poll()`) and then with each new one; it
+ * is only called with results that have a `sequence` that differs from the
+ * last one the subscriber received (or `afterSequence`). Once a result is
+ * immutable or `onError` has been called, no more results are delivered.
+ *
+ * Callbacks are never called synchronously from `subscribe()`.
+ *
+ * If `quotaKey` is given and no loop for the watched resource is running,
+ * starting one counts as a fresh poll against the configured quotas for each
+ * quota key (see `poll()`); if a quota is exceeded, a `QuotaExceededError`
+ * with HTTP status 429 and `retryAfter` seconds in its `details` is thrown.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the watched resource.
+ * @param {Function} options.poller - The polling function to use; if a loop
+ *   for the watched resource is already running, its poller is used instead.
+ * @param {Function} options.onResult - A function that is called with each
+ *   poll result.
+ * @param {Function} [options.onError] - A function that is called with an
+ *   error if polling fails.
+ * @param {Function} [options.onStop] - A function that is called if the
+ *   process is stopping; no more results are delivered and the subscriber's
+ *   client should reconnect, e.g., to another process.
+ * @param {string} [options.namespace='default'] - The namespace for poll
+ *   results.
+ * @param {number} [options.ttl] - The TTL, in milliseconds, for poll results.
+ * @param {string|Array<string>} [options.quotaKey] - One or more quota keys
+ *   for the subscriber.
+ * @param {number} [options.afterSequence] - The `sequence` of the last result
+ *   the subscriber received, e.g., from a client that is reconnecting.
+ *
+ * @returns {object} An object with an `unsubscribe()` function.
+ */
+export function subscribe({
+  id, poller, onResult, onError, onStop, namespace = DEFAULT_NAMESPACE, ttl,
+  quotaKey, afterSequence
+} = {}) {
+  assert.string(id, 'options.id');
+  assert.func(poller, 'options.poller');
+  assert.func(onResult, 'options.onResult');
+  assert.optionalFunc(onError, 'options.onError');
+  assert.optionalFunc(onStop, 'options.onStop');
+  assert.string(namespace, 'options.namespace');
+  assert.optionalNumber(ttl, 'options.ttl');
+  const quotaKeys = typeof quotaKey === 'string' ? [quotaKey] : quotaKey;
+  assert.optionalArrayOfString(quotaKeys, 'options.quotaKey');
+  assert.optionalNumber(afterSequence, 'options.afterSequence');
+
+  const key = `${namespace}:${id}`;
+  let entry = HUBS.get(key);
+  if(!entry) {
+    // the loop's polls are not tracked per subscriber, so the fresh poll is
+    // released from the concurrency limits right away
+    if(quotaKeys) {
+      quotas.acquire({quotaKeys})();
+    }
+    entry = {
+      subscribers: new Set(),
+      result: undefined,
+      controller: new AbortController()
+    };
+    HUBS.set(key, entry);
+    _run({key, entry, id, poller, namespace, ttl});
+  }
+  const subscriber = {sequence: afterSequence, onResult, onError, onStop};
+  entry.subscribers.add(subscriber);
+
+  // deliver the latest result, if any, to the new subscriber
+  queueMicrotask(() => {
+    if(entry.result && entry.subscribers.has(subscriber)) {
+      _deliver({subscriber, result: entry.result});
+    }
+  });
+
+  return {
+    unsubscribe() {
+      entry.subscribers.delete(subscriber);
+      if(entry.subscribers.size === 0 && HUBS.get(key) === entry) {
+        HUBS.delete(key);
+        entry.controller.abort();
+      }
+    }
+  };
+}
+
+/**
+ * Gets the number of subscribers to each watched resource that has a running
+ * loop in this process.
+ *
+ * @returns {object} An object mapping `<namespace>:<id>` keys to subscriber
+ *   counts.
+ */
+export function getSubscriberCounts() {
+  return Object.fromEntries(
+    [...HUBS].map(([key, {subscribers}]) => [key, subscribers.size]));
+}
+
+async function _run({key, entry, id, poller, namespace, ttl}) {
+  const {signal} = entry.controller;
+  try {
+    while(!signal.aborted) {
+      const result = await poll({
+        id, poller, namespace, ttl,
+        afterSequence: entry.result?.sequence, signal
+      });
+      entry.result = result;
+      for(const subscriber of entry.subscribers) {
+        _deliver({subscriber, result});
+      }
+      if(!result.mutable) {
+        break;
+      }
+    }
+  } catch(e) {
+    if(!signal.aborted) {
+      for(const subscriber of entry.subscribers) {
+        _call({fn: subscriber.onError, arg: e});
+      }
+    }
+  } finally {
+    if(HUBS.get(key) === entry) {
+      HUBS.delete(key);
+    }
+  }
+}
+
+function _call({fn, arg}) {
+  try {
+    fn?.(arg);
+  } catch(error) {
+    // one subscriber must not prevent delivery to others
+    logger.error(error.message, {error});
+  }
+}
+
+function _deliver({subscriber, result}) {
+  // a long-polling timeout returns the latest result again, so only deliver
+  // results with a `sequence` that differs from the last one delivered
+  if(result.sequence !== subscriber.sequence) {
+    subscriber.sequence = result.sequence;
+    _call({fn: subscriber.onResult, arg: result});
+  }
+}
@@ -1,14 +1,21 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 // load config defaults
 import './config.js';
 
 // export APIs
-export {poll} from './poll.js';
+export {
+  invalidate, poll, setLeaseStorage, setPollResultStorage
+} from './poll.js';
+export {createPollRoute, createPushCallbackRoute} from './routes.js';
+export {createWebSocketRoute} from './webSockets.js';
+export {getStats} from './metrics.js';
+export * as hub from './hub.js';
+export * as memoryStorage from './memoryStorage.js';
+export * as mongodbStorage from './mongodbStorage.js';
 export * as pollHelpers from './poll.js';
 export * as pollers from './pollers.js';
 export * as push from './push.js';
-// FIXME: not yet exposed; needs testing
-// export * as serverEvents from './serverEvents.js';
+export * as serverEvents from './serverEvents.js';
 export {zcapClient} from './zcapClient.js';
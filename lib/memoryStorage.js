@@ -0,0 +1,280 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+import {LRUCache as LRU} from 'lru-cache';
+
+/* Note on storage: A poll result storage adapter is an object with these
+async functions:
+
+`get({id, maxStale})` - returns the unexpired poll result for `id` or
+  `undefined`; if `maxStale` milliseconds is given, a poll result that
+  expired no more than `maxStale` milliseconds ago may be returned instead,
+  with `stale: true` set on it.
+`set({id, result, ttl})` - stores `result` for `id` for `ttl` milliseconds
+  (or the storage's default TTL if `ttl` is not given) and returns whichever
+  result is stored for `id` once the operation completes. Storage that is
+  shared across processes must only replace a stored result with one that
+  has a greater `sequence` or with one that has the same `sequence` and
+  `digest` (e.g., to update its TTL); if the stored result has expired, it
+  may be replaced with `result` using a `sequence` that continues from it,
+  so that sequences never go backwards.
+`updateMany({id, prefix, filter, update})` - replaces each stored poll
+  result, including expired ones that may still be returned as stale, whose
+  ID equals `id` (if given), whose ID starts with `prefix` (if given), and
+  for which `filter(result)` returns `true` (if given) with the result
+  returned from `update(result)` without changing its TTL; returns the
+  number of poll results that were replaced.
+`delete({id})` - deletes any poll result for `id`.
+`clear()` - deletes all poll results.
+
+A lease storage adapter is an object with these async functions:
+
+`acquire({id, owner, ttl})` - acquires a lease on polling `id` for `owner`
+  that lasts for `ttl` milliseconds and returns `true`; returns `false`
+  if an unexpired lease on `id` is held by another owner.
+`release({id, owner})` - releases any lease on `id` held by `owner`.
+`has({id})` - returns `true` if there is an unexpired lease on `id`.
+
+A push token use storage adapter is an object with this async function:
+
+`use({id, expires})` - records a use of the push token with the nonce `id`,
+  which can be forgotten after `expires` (milliseconds since the epoch), and
+  returns the number of recorded uses of it, including this one.
+
+A push token revocation storage adapter is an object with these async
+functions:
+
+`revoke({id, expires})` - records that the push token with the ID `id` is
+  revoked; the record can be forgotten after `expires` (milliseconds since
+  the epoch).
+`revokeMatching({event, issuedAfter, issuedBefore, expires})` - records that
+  every push token for `event` (if given) that was issued after
+  `issuedAfter` (if given) and before `issuedBefore` (if given) is revoked;
+  times are in milliseconds since the epoch; the record can be forgotten after
+  `expires` (if given).
+`isRevoked({id, event, issued})` - returns `true` if the push token with the
+  ID `id` for `event` that was issued at `issued` is revoked; if `issued` is
+  `undefined`, any issuance window matches.
+
+The in-memory storage here is per-process. In-memory poll result storage is
+used by default; in-memory lease storage is only a stand-in (e.g., for
+testing) as leases are only useful when shared across processes. See
+`mongodbStorage.js` for storage that is shared across processes. */
+
+/**
+ * Creates an in-memory poll result storage adapter that uses an LRU cache.
+ *
+ * @param {object} options - Options to use.
+ * @param {number} options.max - The maximum number of poll results to store.
+ * @param {number} [options.ttl] - The default TTL, in milliseconds, for
+ *   stored poll results.
+ *
+ * @returns {object} A poll result storage adapter.
+ */
+export function createPollResultStorage({max, ttl} = {}) {
+  assert.number(max, 'options.max');
+  assert.optionalNumber(ttl, 'options.ttl');
+
+  // stale results are iterated over by `updateMany()` so that they can be
+  // updated (e.g., invalidated) before they would be returned as stale
+  const cache = new LRU({max, ttl, allowStale: true});
+  return {
+    async get({id, maxStale = 0} = {}) {
+      // do not delete stale results so they can be returned when a greater
+      // `maxStale` is given; the LRU cache will evict them as needed
+      const status = {};
+      const result = cache.get(id, {
+        allowStale: true, noDeleteOnStaleGet: true, status
+      });
+      if(status.get !== 'stale') {
+        return result;
+      }
+      if(-status.remainingTTL <= maxStale) {
+        return {...result, stale: true};
+      }
+    },
+    async set({id, result, ttl} = {}) {
+      cache.set(id, result, ttl === undefined ? undefined : {ttl});
+      return result;
+    },
+    async updateMany({id, prefix, filter, update} = {}) {
+      const matches = [];
+      for(const [key, result] of cache.entries()) {
+        if((id === undefined || key === id) &&
+          (prefix === undefined || key.startsWith(prefix)) &&
+          (filter === undefined || filter(result))) {
+          matches.push([key, result]);
+        }
+      }
+      for(const [key, result] of matches) {
+        cache.set(key, update(result), {noUpdateTTL: true});
+      }
+      return matches.length;
+    },
+    async delete({id} = {}) {
+      return cache.delete(id);
+    },
+    async clear() {
+      cache.clear();
+    }
+  };
+}
+
+/**
+ * Creates an in-memory push token use storage adapter.
+ *
+ * @param {object} options - Options to use.
+ * @param {number} options.max - The maximum number of push token nonces to
+ *   record at once.
+ *
+ * @returns {object} A push token use storage adapter.
+ */
+export function createPushTokenUseStorage({max} = {}) {
+  assert.number(max, 'options.max');
+
+  // note: an LRU cache is not used as evicting a nonce before its push token
+  // expires would allow the push token to be reused
+  const uses = new Map();
+
+  function _prune() {
+    const now = Date.now();
+    for(const [id, {expires}] of uses) {
+      if(expires <= now) {
+        uses.delete(id);
+      }
+    }
+  }
+
+  return {
+    async use({id, expires} = {}) {
+      let record = uses.get(id);
+      if(record && record.expires <= Date.now()) {
+        uses.delete(id);
+        record = undefined;
+      }
+      if(!record) {
+        if(uses.size >= max) {
+          _prune();
+        }
+        if(uses.size >= max) {
+          throw new bedrock.util.BedrockError(
+            'Too many push tokens with limited uses are in use.', {
+              name: 'QuotaExceededError',
+              details: {
+                public: true,
+                httpStatusCode: 503
+              }
+            });
+        }
+        uses.set(id, record = {count: 0, expires});
+      }
+      return ++record.count;
+    }
+  };
+}
+
+/**
+ * Creates an in-memory push token revocation storage adapter.
+ *
+ * @param {object} options - Options to use.
+ * @param {number} options.max - The maximum number of revocations to record
+ *   at once.
+ *
+ * @returns {object} A push token revocation storage adapter.
+ */
+export function createPushTokenRevocationStorage({max} = {}) {
+  assert.number(max, 'options.max');
+
+  // note: an LRU cache is not used as evicting a revocation before it expires
+  // would allow a revoked push token to be used again
+  const revokedIds = new Map();
+  let rules = [];
+
+  function _prune() {
+    const now = Date.now();
+    for(const [id, expires] of revokedIds) {
+      if(expires <= now) {
+        revokedIds.delete(id);
+      }
+    }
+    rules = rules.filter(({expires}) => !(expires <= now));
+  }
+
+  function _assertCapacity() {
+    if(revokedIds.size + rules.length >= max) {
+      _prune();
+    }
+    if(revokedIds.size + rules.length >= max) {
+      throw new bedrock.util.BedrockError(
+        'Too many push token revocations.', {
+          name: 'QuotaExceededError',
+          details: {
+            public: true,
+            httpStatusCode: 503
+          }
+        });
+    }
+  }
+
+  return {
+    async revoke({id, expires} = {}) {
+      if(!revokedIds.has(id)) {
+        _assertCapacity();
+      }
+      revokedIds.set(id, expires);
+    },
+    async revokeMatching({event, issuedAfter, issuedBefore, expires} = {}) {
+      _assertCapacity();
+      rules.push({event, issuedAfter, issuedBefore, expires});
+    },
+    async isRevoked({id, event, issued} = {}) {
+      const now = Date.now();
+      if(revokedIds.get(id) > now) {
+        return true;
+      }
+      return rules.some(rule => !(rule.expires <= now) &&
+        (rule.event === undefined || rule.event === event) &&
+        (issued === undefined || (
+          !(rule.issuedAfter >= issued) && !(rule.issuedBefore <= issued))));
+    }
+  };
+}
+
+/**
+ * Creates an in-memory lease storage adapter.
+ *
+ * @returns {object} A lease storage adapter.
+ */
+export function createLeaseStorage() {
+  const leases = new Map();
+
+  function _get({id}) {
+    const lease = leases.get(id);
+    if(lease && lease.expires <= Date.now()) {
+      leases.delete(id);
+      return;
+    }
+    return lease;
+  }
+
+  return {
+    async acquire({id, owner, ttl} = {}) {
+      const lease = _get({id});
+      if(lease && lease.owner !== owner) {
+        return false;
+      }
+      leases.set(id, {owner, expires: Date.now() + ttl});
+      return true;
+    },
+    async release({id, owner} = {}) {
+      if(_get({id})?.owner === owner) {
+        leases.delete(id);
+      }
+    },
+    async has({id} = {}) {
+      return _get({id}) !== undefined;
+    }
+  };
+}
@@ -0,0 +1,204 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+
+// prefix for metric names in Prometheus text format
+const PROMETHEUS_PREFIX = 'bedrock_notify_';
+
+// upper bounds, in seconds, of histogram buckets
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/* Note on metrics: Metrics are per-process and are kept in memory. Each
+metric is a counter (a value that only increases), a gauge (a value that can
+increase and decrease), or a histogram (counts of observed values by bucket).
+A counter or gauge can have a single label, in which case a value is kept for
+each value of its label. */
+const DEFINITIONS = new Map([
+  ['pollCacheHits', {
+    type: 'counter',
+    help: 'Poll results returned from the poll result cache.',
+    prometheusName: 'poll_cache_hits_total'
+  }],
+  ['pollCacheStaleHits', {
+    type: 'counter',
+    help: 'Stale poll results returned while getting a fresh result.',
+    prometheusName: 'poll_cache_stale_hits_total'
+  }],
+  ['pollCacheMisses', {
+    type: 'counter',
+    help: 'Calls to poll() that needed a fresh poll result.',
+    prometheusName: 'poll_cache_misses_total'
+  }],
+  ['pollErrorCacheHits', {
+    type: 'counter',
+    help: 'Errors from failed polling operations returned from the cache.',
+    prometheusName: 'poll_error_cache_hits_total'
+  }],
+  ['pollsCoalesced', {
+    type: 'counter',
+    help: 'Calls to poll() that joined an in-flight polling operation.',
+    prometheusName: 'polls_coalesced_total'
+  }],
+  ['pollsRejected', {
+    type: 'counter',
+    help: 'Calls to poll() that were rejected before polling, by reason.',
+    label: 'reason',
+    prometheusName: 'polls_rejected_total'
+  }],
+  ['pollsInFlight', {
+    type: 'gauge',
+    help: 'Polling operations in flight.',
+    prometheusName: 'polls_in_flight'
+  }],
+  ['pollerErrors', {
+    type: 'counter',
+    help: 'Poller calls that failed, by reason.',
+    label: 'reason',
+    prometheusName: 'poller_errors_total'
+  }],
+  ['pollerDuration', {
+    type: 'histogram',
+    help: 'Duration of poller calls in seconds.',
+    buckets: DURATION_BUCKETS,
+    prometheusName: 'poller_duration_seconds'
+  }],
+  ['pushTokenVerifications', {
+    type: 'counter',
+    help: 'Push token verifications, by result.',
+    label: 'result',
+    prometheusName: 'push_token_verifications_total'
+  }]
+]);
+
+let METRICS;
+_createMetrics();
+
+bedrock.events.on('bedrock-express.configure.routes', app => {
+  const {route} = bedrock.config.notify.metrics;
+  if(route) {
+    app.get(route, (req, res) => {
+      res.type('text/plain; version=0.0.4').send(_toPrometheusText());
+    });
+  }
+});
+
+/**
+ * Gets statistics about polling, caching, and push tokens in this process.
+ *
+ * The returned object has a property for each metric: a counter or gauge
+ * value is a number (or, if the metric has a label, an object with a number
+ * for each label value) and a histogram value is an object with `count`,
+ * `sum`, and (cumulative) `buckets` properties, where `buckets` is an array
+ * with each bucket's upper bound, `le`, and the `count` of observed values
+ * that are less than or equal to it; the last bucket's `le` is `Infinity`.
+ *
+ * @returns {object} The statistics.
+ */
+export function getStats() {
+  const stats = {};
+  for(const [name, {type, label}] of DEFINITIONS) {
+    const metric = METRICS.get(name);
+    if(type === 'histogram') {
+      stats[name] = {
+        count: metric.count,
+        sum: metric.sum,
+        buckets: [...metric.buckets].map(([le, count]) => ({le, count}))
+      };
+    } else if(label) {
+      stats[name] = Object.fromEntries(metric);
+    } else {
+      stats[name] = metric;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Increments (or decrements, if `value` is negative) a counter or gauge.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.name - The name of the metric.
+ * @param {string} [options.label] - The label value, if the metric has a
+ *   label.
+ * @param {number} [options.value=1] - The value to add.
+ */
+export function increment({name, label, value = 1} = {}) {
+  const definition = DEFINITIONS.get(name);
+  assert.object(definition, 'options.name');
+  if(!definition.label) {
+    METRICS.set(name, METRICS.get(name) + value);
+    return;
+  }
+  const metric = METRICS.get(name);
+  metric.set(label, (metric.get(label) ?? 0) + value);
+}
+
+/**
+ * Observes a value for a histogram.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.name - The name of the metric.
+ * @param {number} options.value - The observed value.
+ */
+export function observe({name, value} = {}) {
+  const metric = METRICS.get(name);
+  assert.object(metric, 'options.name');
+  metric.count++;
+  metric.sum += value;
+  for(const [bound, count] of metric.buckets) {
+    if(value <= bound) {
+      metric.buckets.set(bound, count + 1);
+    }
+  }
+}
+
+// exposed for testing purposes only
+export function _resetMetrics() {
+  _createMetrics();
+}
+
+function _createMetrics() {
+  METRICS = new Map();
+  for(const [name, {type, label, buckets}] of DEFINITIONS) {
+    if(type === 'histogram') {
+      METRICS.set(name, {
+        count: 0,
+        sum: 0,
+        buckets: new Map([...buckets, Infinity].map(bound => [bound, 0]))
+      });
+    } else {
+      METRICS.set(name, label ? new Map() : 0);
+    }
+  }
+}
+
+function _toPrometheusText() {
+  const lines = [];
+  for(const [name, {type, label, help, prometheusName}] of DEFINITIONS) {
+    const metricName = PROMETHEUS_PREFIX + prometheusName;
+    const metric = METRICS.get(name);
+    lines.push(`# HELP ${metricName} ${help}`);
+    lines.push(`# TYPE ${metricName} ${type}`);
+    if(type === 'histogram') {
+      for(const [bound, count] of metric.buckets) {
+        const le = bound === Infinity ? '+Inf' : bound;
+        lines.push(`${metricName}_bucket{le="${le}"} ${count}`);
+      }
+      lines.push(`${metricName}_sum ${metric.sum}`);
+      lines.push(`${metricName}_count ${metric.count}`);
+    } else if(label) {
+      for(const [value, count] of metric) {
+        lines.push(`${metricName}{${label}="${_escape(value)}"} ${count}`);
+      }
+    } else {
+      lines.push(`${metricName} ${metric}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+function _escape(value) {
+  return String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n');
+}
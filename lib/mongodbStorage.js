@@ -0,0 +1,404 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+
+const LEASE_COLLECTION = 'notify-lease';
+const POLL_RESULT_COLLECTION = 'notify-pollResult';
+const PUSH_TOKEN_REVOCATION_COLLECTION = 'notify-pushTokenRevocation';
+const PUSH_TOKEN_USE_COLLECTION = 'notify-pushTokenUse';
+
+/**
+ * Creates a poll result storage adapter that stores poll results in a
+ * database collection that is shared across processes. This enables every
+ * process to see the same poll result and `sequence` for a watched resource.
+ *
+ * Note: `@bedrock/mongodb` must be loaded by the application and this
+ * function must not be called until the `bedrock-mongodb.ready` event has
+ * been emitted.
+ *
+ * @param {object} options - Options to use.
+ * @param {number} options.ttl - The default TTL, in milliseconds, for
+ *   stored poll results.
+ * @param {number} [options.maxStale=0] - The time, in milliseconds, to retain
+ *   poll results after they expire so they can be returned as stale.
+ * @param {string} [options.collectionName='notify-pollResult'] - The name
+ *   of the collection to use.
+ *
+ * @returns {Promise<object>} A poll result storage adapter.
+ */
+export async function createPollResultStorage({
+  ttl, maxStale = 0, collectionName = POLL_RESULT_COLLECTION
+} = {}) {
+  assert.number(ttl, 'options.ttl');
+  assert.number(maxStale, 'options.maxStale');
+  assert.string(collectionName, 'options.collectionName');
+
+  const database = await import('@bedrock/mongodb');
+  await database.openCollections([collectionName]);
+  await database.createIndexes([{
+    collection: collectionName,
+    fields: {id: 1},
+    options: {unique: true}
+  }, {
+    // automatically remove poll results once they can no longer be
+    // returned, even as stale
+    collection: collectionName,
+    fields: {'meta.purge': 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+  const collection = database.collections[collectionName];
+  const defaultTtl = ttl;
+  const retention = maxStale;
+
+  return {
+    async get({id, maxStale = 0} = {}) {
+      // note: expired records are not removed immediately by the database
+      const now = Date.now();
+      const record = await collection.findOne({
+        id,
+        'meta.expires': {$gt: new Date(now - maxStale)}
+      }, {projection: {_id: 0, pollResult: 1, 'meta.expires': 1}});
+      if(!record) {
+        return;
+      }
+      const result = _fromRecord(record);
+      if(record.meta.expires.getTime() <= now) {
+        result.stale = true;
+      }
+      return result;
+    },
+    async set({id, result, ttl = defaultTtl} = {}) {
+      const now = Date.now();
+      const expires = new Date(now + ttl);
+      const purge = new Date(now + ttl + retention);
+      const meta = {updated: now, expires, purge};
+
+      while(true) {
+        // if the same result (same `sequence` and `digest`) is already
+        // stored, e.g., when a poll finds the watched resource unchanged,
+        // replace it to update its TTL and any other properties; this is
+        // tried first as it is the common case and the upsert below would
+        // fail with a duplicate error for it
+        const updated = await collection.findOneAndUpdate({
+          id,
+          'pollResult.sequence': result.sequence,
+          'pollResult.digest': result.digest
+        }, {
+          $set: {pollResult: _toRecordResult(result), meta}
+        }, {projection: {_id: 0, pollResult: 1}, returnDocument: 'after'});
+        if(updated) {
+          return _fromRecord(updated);
+        }
+
+        // otherwise, only replace a stored result that has a lesser
+        // `sequence`; this keeps sequences consistent across processes
+        try {
+          await collection.updateOne({
+            id,
+            'pollResult.sequence': {$lt: result.sequence}
+          }, {
+            $set: {pollResult: _toRecordResult(result), meta}
+          }, {upsert: true});
+          return result;
+        } catch(e) {
+          if(!database.isDuplicateError(e)) {
+            throw e;
+          }
+        }
+
+        // another result with the same or a greater `sequence` is
+        // already stored
+        const record = await collection.findOne(
+          {id}, {projection: {_id: 0, pollResult: 1, 'meta.expires': 1}});
+        if(!record) {
+          // purged in the meantime; try again
+          continue;
+        }
+        if(record.meta.expires.getTime() > now) {
+          return _fromRecord(record);
+        }
+        // the stored result has expired but has not been purged yet; replace
+        // it with `result`, continuing from its `sequence` as sequences must
+        // never go backwards
+        result = {...result, sequence: record.pollResult.sequence + 1};
+      }
+    },
+    async updateMany({id, prefix, filter, update} = {}) {
+      // expired results are included as they may still be returned as stale
+      const query = {};
+      if(id !== undefined) {
+        query.id = id;
+      }
+      if(prefix !== undefined) {
+        query.$and = [{id: {$regex: `^${_escapeRegExp(prefix)}`}}];
+      }
+      let count = 0;
+      const cursor = collection.find(
+        query, {projection: {_id: 0, id: 1, pollResult: 1}});
+      for await (const record of cursor) {
+        const result = _fromRecord(record);
+        if(filter !== undefined && !filter(result)) {
+          continue;
+        }
+        // only replace the result if it has not changed in the meantime
+        const {modifiedCount} = await collection.updateOne({
+          id: record.id,
+          'pollResult.sequence': result.sequence,
+          'pollResult.digest': result.digest
+        }, {
+          $set: {
+            pollResult: _toRecordResult(update(result)),
+            'meta.updated': Date.now()
+          }
+        });
+        count += modifiedCount;
+      }
+      return count;
+    },
+    async delete({id} = {}) {
+      const {deletedCount} = await collection.deleteOne({id});
+      return deletedCount !== 0;
+    },
+    async clear() {
+      await collection.deleteMany({});
+    }
+  };
+}
+
+/**
+ * Creates a lease storage adapter that stores leases in a database collection
+ * that is shared across processes. This enables only one process to poll a
+ * given watched resource at a time.
+ *
+ * Note: `@bedrock/mongodb` must be loaded by the application and this
+ * function must not be called until the `bedrock-mongodb.ready` event has
+ * been emitted.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.collectionName='notify-lease'] - The name of the
+ *   collection to use.
+ *
+ * @returns {Promise<object>} A lease storage adapter.
+ */
+export async function createLeaseStorage({
+  collectionName = LEASE_COLLECTION
+} = {}) {
+  assert.string(collectionName, 'options.collectionName');
+
+  const database = await import('@bedrock/mongodb');
+  await database.openCollections([collectionName]);
+  await database.createIndexes([{
+    collection: collectionName,
+    fields: {id: 1},
+    options: {unique: true}
+  }, {
+    // automatically expire leases
+    collection: collectionName,
+    fields: {'meta.expires': 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+  const collection = database.collections[collectionName];
+
+  return {
+    async acquire({id, owner, ttl} = {}) {
+      const now = Date.now();
+      // only take over a lease that has expired or is already held by `owner`
+      try {
+        await collection.updateOne({
+          id,
+          $or: [
+            {'meta.expires': {$lte: new Date(now)}},
+            {'lease.owner': owner}
+          ]
+        }, {
+          $set: {
+            lease: {owner},
+            meta: {updated: now, expires: new Date(now + ttl)}
+          }
+        }, {upsert: true});
+        return true;
+      } catch(e) {
+        if(!database.isDuplicateError(e)) {
+          throw e;
+        }
+        return false;
+      }
+    },
+    async release({id, owner} = {}) {
+      await collection.deleteOne({id, 'lease.owner': owner});
+    },
+    async has({id} = {}) {
+      const record = await collection.findOne({
+        id,
+        'meta.expires': {$gt: new Date()}
+      }, {projection: {_id: 0, id: 1}});
+      return record !== null;
+    }
+  };
+}
+
+/**
+ * Creates a push token use storage adapter that records uses of push tokens
+ * in a database collection that is shared across processes. This enables a
+ * push token with a limited number of uses to be used up to its limit across
+ * all processes.
+ *
+ * Note: `@bedrock/mongodb` must be loaded by the application and this
+ * function must not be called until the `bedrock-mongodb.ready` event has
+ * been emitted.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.collectionName='notify-pushTokenUse'] - The name
+ *   of the collection to use.
+ *
+ * @returns {Promise<object>} A push token use storage adapter.
+ */
+export async function createPushTokenUseStorage({
+  collectionName = PUSH_TOKEN_USE_COLLECTION
+} = {}) {
+  assert.string(collectionName, 'options.collectionName');
+
+  const database = await import('@bedrock/mongodb');
+  await database.openCollections([collectionName]);
+  await database.createIndexes([{
+    collection: collectionName,
+    fields: {id: 1},
+    options: {unique: true}
+  }, {
+    // automatically remove records once their push tokens have expired
+    collection: collectionName,
+    fields: {'meta.expires': 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+  const collection = database.collections[collectionName];
+
+  return {
+    async use({id, expires} = {}) {
+      // retry once if a concurrent first use inserted the record
+      for(let retry = true; ; retry = false) {
+        try {
+          const record = await collection.findOneAndUpdate({id}, {
+            $inc: {uses: 1},
+            $setOnInsert: {
+              meta: {created: Date.now(), expires: new Date(expires)}
+            }
+          }, {
+            projection: {_id: 0, uses: 1}, returnDocument: 'after',
+            upsert: true
+          });
+          return record.uses;
+        } catch(e) {
+          if(!(retry && database.isDuplicateError(e))) {
+            throw e;
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Creates a push token revocation storage adapter that stores revocations in
+ * a database collection that is shared across processes. This enables a
+ * revoked push token to be rejected by every process.
+ *
+ * Note: `@bedrock/mongodb` must be loaded by the application and this
+ * function must not be called until the `bedrock-mongodb.ready` event has
+ * been emitted.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.collectionName='notify-pushTokenRevocation'] - The
+ *   name of the collection to use.
+ *
+ * @returns {Promise<object>} A push token revocation storage adapter.
+ */
+export async function createPushTokenRevocationStorage({
+  collectionName = PUSH_TOKEN_REVOCATION_COLLECTION
+} = {}) {
+  assert.string(collectionName, 'options.collectionName');
+
+  const database = await import('@bedrock/mongodb');
+  await database.openCollections([collectionName]);
+  await database.createIndexes([{
+    // revocations of individual push tokens
+    collection: collectionName,
+    fields: {id: 1},
+    options: {unique: true, partialFilterExpression: {id: {$exists: true}}}
+  }, {
+    // revocations of push tokens by event and/or issuance window
+    collection: collectionName,
+    fields: {'rule.event': 1},
+    options: {unique: false, partialFilterExpression: {rule: {$exists: true}}}
+  }, {
+    // automatically remove revocations once they expire
+    collection: collectionName,
+    fields: {'meta.expires': 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+  const collection = database.collections[collectionName];
+
+  return {
+    async revoke({id, expires} = {}) {
+      const now = Date.now();
+      try {
+        await collection.updateOne({id}, {
+          $set: {meta: {updated: now, expires: new Date(expires)}}
+        }, {upsert: true});
+      } catch(e) {
+        // a concurrent revocation of the same push token is fine
+        if(!database.isDuplicateError(e)) {
+          throw e;
+        }
+      }
+    },
+    async revokeMatching({event, issuedAfter, issuedBefore, expires} = {}) {
+      const meta = {created: Date.now()};
+      if(expires !== undefined) {
+        meta.expires = new Date(expires);
+      }
+      // `null` is stored for criteria that are not given
+      await collection.insertOne({
+        rule: {
+          event: event ?? null,
+          issuedAfter: issuedAfter ?? null,
+          issuedBefore: issuedBefore ?? null
+        },
+        meta
+      });
+    },
+    async isRevoked({id, event, issued} = {}) {
+      const rule = {
+        rule: {$exists: true},
+        'rule.event': {$in: [event, null]}
+      };
+      if(issued !== undefined) {
+        rule.$and = [
+          {'rule.issuedAfter': {$not: {$gte: issued}}},
+          {'rule.issuedBefore': {$not: {$lte: issued}}}
+        ];
+      }
+      // note: expired records are not removed immediately by the database
+      const record = await collection.findOne({
+        $or: [{id}, rule],
+        'meta.expires': {$not: {$lte: new Date()}}
+      }, {projection: {_id: 1}});
+      return record !== null;
+    }
+  };
+}
+
+function _fromRecord({pollResult}) {
+  // poll result is stored as JSON because the database restricts some object
+  // keys that may appear in poll result values
+  return JSON.parse(pollResult.json);
+}
+
+function _escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function _toRecordResult(result) {
+  const {sequence, digest} = result;
+  return {sequence, digest, json: JSON.stringify(result)};
+}
@@ -2,14 +2,24 @@
  * Copyright (c) 2024-2026 Digital Bazaar, Inc.
  */
 import * as bedrock from '@bedrock/core';
+import * as circuitBreaker from './circuitBreaker.js';
+import * as memoryStorage from './memoryStorage.js';
+import * as metrics from './metrics.js';
+import * as mongodbStorage from './mongodbStorage.js';
+import * as quotas from './quotas.js';
+import {createHash, randomUUID} from 'node:crypto';
+import {DEFAULT_NAMESPACE, MAX_TTL} from './constants.js';
 import assert from 'assert-plus';
+import canonicalize from 'canonicalize';
+import jsonPatch from 'fast-json-patch';
+import {logger} from './logger.js';
 import {LRUCache as LRU} from 'lru-cache';
 import {LruCache} from '@digitalbazaar/lru-memoize';
 
 const {util: {BedrockError}} = bedrock;
 
-// fifteen minute max TTL for poll results
-const MAX_TTL = 1000 * 60 * 15;
+// multihash header for sha2-256
+const SHA2_256_HEADER = new Uint8Array([0x12, 0x20]);
 
 /* Note on caching: Two caches are used for managing polling. One for ensuring
 that a given process only has one inflight concurrent request for a fresh
@@ -28,10 +38,51 @@ were considered and it should be possible to substitute some combination of
 them to implement the result, but our existing lru-memoize library and the
 lru-cache library we use in a number of other places work just fine and were
 reused here. A future simplification that reduces the maintenance and
-comprehension burden is welcome. */
+comprehension burden is welcome.
+
+The poll result "cache" is a storage adapter (see `memoryStorage.js`). By
+default it is a per-process LRU cache, but it can be configured to be shared
+across processes so that every process sees the same result and `sequence`
+for a watched resource.
+
+When poll result storage is shared, leases can optionally be used to ensure
+that only one process at a time polls a watched resource; the other processes
+wait for the lease to be released and then use the stored result. This
+extends the process-local coalescing provided by the poll cache across
+processes.
+
+Every cache entry is scoped to a namespace so that different pollers (or
+different projections of the same watched resource) do not share results,
+e.g., to avoid returning a value from one route to another route that should
+not see some of its fields.
+
+A third, per-process cache holds errors from failed polling operations for a
+short time (negative caching) so that a watched resource that cannot be polled
+is not polled again on every request. Failures are also tracked per origin by
+a circuit breaker (see `circuitBreaker.js`) so that polling operations for
+watched resources at an origin that keeps failing fail fast. */
+let LEASE_STORAGE;
 let POLL_CACHE;
+let POLL_ERROR_CACHE;
 let POLL_RESULT_CACHE;
 
+// per-namespace in-memory poll result caches for namespaces that are
+// configured with their own cache settings; only used when the poll result
+// cache is the default in-memory storage
+const NAMESPACE_CACHES = new Map();
+let USE_NAMESPACE_CACHES = false;
+
+// local long-polling operations waiting for new poll results, by cache key
+const WAITERS = new Map();
+
+// abort controllers, caller counts, and settle promises for in-flight polling
+// operations, by cache key; an operation is aborted if it times out or if
+// every caller waiting on it has aborted
+const OPERATIONS = new Map();
+
+// set once the process is stopping; no new polls are accepted
+let STOPPING = false;
+
 /* Example usage of `poll()` in a route handler:
 
 ```
@@ -60,8 +111,36 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
 */
 
 bedrock.events.on('bedrock.init', async () => {
+  const {storage} = bedrock.config.notify;
+  _assertStorageType({type: storage.pollResult, name: 'poll result'});
+  if(storage.lease !== null) {
+    _assertStorageType({type: storage.lease, name: 'lease'});
+  }
   _createPollCache();
+  _createPollErrorCache();
   _createPollResultCache();
+  if(storage.lease === 'memory') {
+    LEASE_STORAGE = memoryStorage.createLeaseStorage();
+  }
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  await _stop();
+});
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  const cfg = bedrock.config.notify;
+  if(cfg.storage.pollResult === 'mongodb') {
+    const {ttl} = cfg.caches.pollResult;
+    const {maxStale} = cfg.staleWhileRevalidate;
+    POLL_RESULT_CACHE = await mongodbStorage.createPollResultStorage({
+      ttl, maxStale
+    });
+    USE_NAMESPACE_CACHES = false;
+  }
+  if(cfg.storage.lease === 'mongodb') {
+    LEASE_STORAGE = await mongodbStorage.createLeaseStorage();
+  }
 });
 
 /**
@@ -70,49 +149,296 @@ bedrock.events.on('bedrock.init', async () => {
  * concurrent polling operation is presently polling for updates to the same
  * resource, its result will be used and `poller` will be ignored.
  *
+ * Poll results and polling operations are scoped to a `namespace`; callers
+ * that use different pollers (or pollers that return different projections
+ * of the same resource) for the same `id` must use different namespaces to
+ * avoid receiving each other's results. Each namespace can optionally be
+ * configured with its own poll result cache settings in
+ * `config.notify.caches.namespaces`.
+ *
+ * If `afterSequence` is given, the call is a long-polling operation: it will
+ * not resolve until a poll result with a `sequence` greater than
+ * `afterSequence` exists, the result becomes immutable, or `timeout` expires,
+ * whichever happens first; in the last case, the latest poll result will be
+ * returned. While waiting, the resource will be polled for a fresh result at
+ * the configured long-polling interval and any other polling operation in
+ * the same process that produces a new result for the resource, such as one
+ * triggered by a push callback, will cause the call to resolve early. A
+ * result that was polled within the last interval is used instead of polling
+ * again, so concurrent long-polling operations for the same resource only
+ * poll it once per interval.
+ *
+ * If polling the resource fails, the error is cached for a short time and
+ * thrown again for subsequent calls that use the cache. If polling resources
+ * at the same origin fails repeatedly, calls that need a fresh result fail
+ * fast with a `NetworkError` until the origin has had time to recover.
+ *
+ * If `quotaKey` is given, fresh polls (ones that start a new polling
+ * operation because no usable poll result is cached) count against the
+ * configured quotas for each quota key, e.g., one that identifies the client
+ * and one that identifies its tenant; if a quota is exceeded, a
+ * `QuotaExceededError` with HTTP status 429 and `retryAfter` seconds in its
+ * `details` is thrown.
+ *
+ * If `staleWhileRevalidate` is enabled and the cached poll result has expired
+ * (but not for longer than the configured maximum staleness), the expired
+ * result will be returned immediately, marked with `stale: true`, and a fresh
+ * result will be polled for in the background.
+ *
+ * Once the process is stopping (see `config.notify.shutdown`), `poll()`
+ * throws an `InvalidStateError` with HTTP status 503 so that clients retry
+ * against another process; long-polling calls resolve early with the latest
+ * result.
+ *
+ * A polling operation is aborted, freeing its slot, if it does not complete
+ * within the configured poller timeout or if every caller waiting on it has
+ * aborted, e.g., via `signal` or `timeout`; the operation's abort signal is
+ * passed to `poller` so it can cancel any work in progress (exchange
+ * pollers abort their requests). A poller that does not handle the signal is
+ * not cancelled; `poll()` only stops waiting for it.
+ *
+ * If `fromSequence` is given and the value of the poll result with that
+ * `sequence` is still available in the poll result history, the returned
+ * result will include a JSON Patch (RFC 6902) in `patch` that transforms that
+ * value into the current value instead of including the current `value`;
+ * otherwise, the full `value` will be returned.
+ *
  * @param {object} options - Options to use.
  * @param {string} options.id - The ID for the watched resource.
  * @param {Function} options.poller - The polling function to use to poll the
  *   resource.
+ * @param {string} [options.namespace='default'] - The namespace to scope the
+ *   poll result to, e.g., one that identifies `poller`.
  * @param {boolean} [options.useCache=true] - Set to `false` to avoid using
  *   the poll result cache and to instead get a fresh result.
  * @param {number} [options.ttl] - The TTL, in milliseconds, for the poll
  *   result (this will only be used if `useCache=true` and the `id` is not
  *   found in the cache); this will default to the configured TTL for the poll
- *   result cache.
+ *   result cache for `namespace`.
+ * @param {string|Array<string>} [options.quotaKey] - One or more quota
+ *   keys, e.g., `ip:<client IP address>` or `tenant:<tenant ID>`, to count
+ *   fresh polls against.
+ * @param {boolean} [options.staleWhileRevalidate] - Set to `true` to
+ *   return an expired poll result immediately while getting a fresh result
+ *   in the background; this defaults to the configured setting.
+ * @param {number} [options.afterSequence] - Set to wait for a poll result
+ *   with a `sequence` greater than this value (long-polling).
+ * @param {number} [options.timeout] - The maximum time, in milliseconds, to
+ *   wait; when long-polling, this is the time to wait for a poll result with
+ *   a `sequence` greater than `afterSequence` and defaults to the configured
+ *   long-polling timeout; otherwise, this is the time to wait for the polling
+ *   operation to complete before a `TimeoutError` is thrown and it defaults
+ *   to the configured poller timeout.
+ * @param {AbortSignal} [options.signal] - An abort signal to stop waiting for
+ *   a poll result.
+ * @param {number} [options.fromSequence] - The `sequence` of a poll result
+ *   the caller already has; set to receive a JSON Patch from its value to the
+ *   current value (if available) instead of the full current value.
  *
- * @returns {Promise<object>} An object with the record.
+ * @returns {Promise<object>} An object with the record, i.e., the poll result
+ *   with `id`, `sequence`, `mutable`, `value`, and `digest` properties;
+ *   `sequence` only increases when the result changes and `digest` is a
+ *   multibase-encoded multihash of the canonicalized JSON of `value` that can
+ *   be used to detect changes, e.g., as an ETag; `polled` is the time, in
+ *   milliseconds since the epoch, that the result was last polled (if
+ *   known); if a JSON Patch is returned, `value` is replaced by
+ *   `fromSequence` and `patch` properties.
  */
-export async function poll({id, poller, ttl, useCache = true} = {}) {
+export async function poll({
+  id, poller, namespace = DEFAULT_NAMESPACE, ttl, useCache = true,
+  quotaKey, staleWhileRevalidate, afterSequence, timeout, fromSequence, signal
+} = {}) {
   assert.string(id, 'options.id');
   assert.func(poller, 'options.poller');
+  _assertNamespace(namespace);
   assert.optionalBool(useCache, 'options.useCache');
   assert.optionalNumber(ttl, 'options.ttl');
+  const quotaKeys = typeof quotaKey === 'string' ? [quotaKey] : quotaKey;
+  assert.optionalArrayOfString(quotaKeys, 'options.quotaKey');
+  assert.optionalBool(staleWhileRevalidate, 'options.staleWhileRevalidate');
+  assert.optionalNumber(afterSequence, 'options.afterSequence');
+  assert.optionalNumber(timeout, 'options.timeout');
+  assert.optionalNumber(fromSequence, 'options.fromSequence');
+  assert.optionalObject(signal, 'options.signal');
 
   if(ttl <= 0) {
     throw new TypeError('"ttl" must be a positive integer.');
   }
+  if(timeout <= 0) {
+    throw new TypeError('"timeout" must be a positive integer.');
+  }
+  if(STOPPING) {
+    throw _createStoppingError();
+  }
 
-  const result = useCache ? POLL_RESULT_CACHE.get(id) : undefined;
-  if(result !== undefined) {
-    return result;
+  ttl = ttl ?? _getNamespaceConfig({namespace}).pollResult?.ttl;
+  staleWhileRevalidate = staleWhileRevalidate ??
+    bedrock.config.notify.staleWhileRevalidate.enabled;
+  if(afterSequence !== undefined) {
+    const result = await _longPoll({
+      id, namespace, poller, ttl, useCache, quotaKeys, staleWhileRevalidate,
+      afterSequence, timeout, signal
+    });
+    return _toPollResult({result, fromSequence});
   }
 
-  // if new polling op would exceed the cache size, disallow it
-  if(POLL_CACHE.cache.size === POLL_CACHE.cache.max && !POLL_CACHE.has(id)) {
-    throw new BedrockError('Too many concurrent polling operations.', {
-      name: 'QuotaExceededError',
-      details: {
-        public: true,
-        httpStatusCode: 503
-      }
+  // stop waiting for the polling operation once `timeout` expires
+  const controller = new AbortController();
+  const timer = timeout === undefined ? undefined : setTimeout(
+    () => controller.abort(_createTimeoutError()), timeout);
+  try {
+    const result = await _poll({
+      id, namespace, poller, ttl, useCache, quotaKeys, staleWhileRevalidate,
+      signal: signal ?
+        AbortSignal.any([signal, controller.signal]) : controller.signal
     });
+    return _toPollResult({result, fromSequence});
+  } finally {
+    clearTimeout(timer);
   }
+}
 
-  // use `disposeOnSettle` to clear poll operation from cache once completed
-  const options = {disposeOnSettle: true};
-  const fn = () => _getUncachedPollResult({id, poller, ttl});
-  return POLL_CACHE.memoize({key: id, fn, options});
+/**
+ * Invalidates poll results so that the next call to `poll()` for each of the
+ * affected watched resources will get a fresh result, even if it would
+ * otherwise use the poll result cache. Invalidated results keep their
+ * `sequence` and history. At least one of `id`, `prefix`, or `filter` must be
+ * given; if more than one is given, only poll results that match all of them
+ * will be invalidated.
+ *
+ * Expired results that could still be returned as stale (see
+ * `staleWhileRevalidate`) are invalidated too, and any cached errors from
+ * failed polling operations for matching IDs are cleared.
+ *
+ * Immutable results can also be marked as mutable again, e.g., when a VC API
+ * exchange has been reset by an administrator; otherwise, its immutable
+ * result would continue to be used until it expires.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.id] - The ID of a watched resource.
+ * @param {string} [options.prefix] - A prefix that the IDs of watched
+ *   resources must start with.
+ * @param {Function} [options.filter] - A function that is passed a poll
+ *   result and returns `true` if it should be invalidated.
+ * @param {string} [options.namespace='default'] - The namespace of the poll
+ *   results to invalidate.
+ * @param {boolean} [options.mutable=false] - Set to `true` to also mark the
+ *   invalidated results as mutable.
+ *
+ * @returns {Promise<object>} An object with the `count` of invalidated
+ *   results.
+ */
+export async function invalidate({
+  id, prefix, filter, namespace = DEFAULT_NAMESPACE, mutable = false
+} = {}) {
+  assert.optionalString(id, 'options.id');
+  assert.optionalString(prefix, 'options.prefix');
+  assert.optionalFunc(filter, 'options.filter');
+  _assertNamespace(namespace);
+  assert.optionalBool(mutable, 'options.mutable');
+
+  if(id === undefined && prefix === undefined && filter === undefined) {
+    throw new TypeError('One of "id", "prefix", or "filter" is required.');
+  }
+
+  // namespaced IDs are used as storage keys
+  const idKey = id === undefined ? undefined : _getKey({id, namespace});
+  const prefixKey = _getKey({id: prefix ?? '', namespace});
+
+  // clear cached errors so that the watched resources are polled again; as
+  // errors have no poll result, `filter` is not applied to them
+  if(POLL_ERROR_CACHE) {
+    for(const key of [...POLL_ERROR_CACHE.keys()]) {
+      if((idKey === undefined || key === idKey) && key.startsWith(prefixKey)) {
+        POLL_ERROR_CACHE.delete(key);
+      }
+    }
+  }
+
+  const storage = _getPollResultStorage({namespace});
+  const count = await storage.updateMany({
+    id: idKey,
+    prefix: prefixKey,
+    filter,
+    update: result => ({
+      ...result, invalidated: true, mutable: mutable || result.mutable
+    })
+  });
+  return {count};
+}
+
+/**
+ * Sets the storage adapter to use for poll results. This can be used to
+ * provide custom poll result storage, e.g., storage that is shared across
+ * processes via some other database. See `memoryStorage.js` for the storage
+ * adapter interface.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.storage - The poll result storage adapter.
+ */
+export function setPollResultStorage({storage} = {}) {
+  assert.object(storage, 'options.storage');
+  assert.func(storage.get, 'options.storage.get');
+  assert.func(storage.set, 'options.storage.set');
+  assert.func(storage.updateMany, 'options.storage.updateMany');
+  assert.func(storage.delete, 'options.storage.delete');
+  assert.func(storage.clear, 'options.storage.clear');
+  POLL_RESULT_CACHE = storage;
+  USE_NAMESPACE_CACHES = false;
+}
+
+/**
+ * Sets the storage adapter to use for polling leases. Setting a lease storage
+ * adapter enables leases; set it to `null` to disable them. See
+ * `memoryStorage.js` for the storage adapter interface.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.storage - The lease storage adapter or `null`.
+ */
+export function setLeaseStorage({storage} = {}) {
+  if(storage !== null) {
+    assert.object(storage, 'options.storage');
+    assert.func(storage.acquire, 'options.storage.acquire');
+    assert.func(storage.release, 'options.storage.release');
+    assert.func(storage.has, 'options.storage.has');
+  }
+  LEASE_STORAGE = storage;
+}
+
+// exposed for testing purposes only
+export async function _stop() {
+  // let transports end their streams (e.g., telling clients to reconnect to
+  // another process) before new polls are rejected
+  await bedrock.events.emit('bedrock-notify.stop');
+  STOPPING = true;
+
+  // end long-polling operations early with the latest result
+  for(const waiters of WAITERS.values()) {
+    for(const waiter of waiters) {
+      waiter();
+    }
+  }
+
+  // wait for in-flight polling operations to settle, then abort the rest
+  const {drainTimeout} = bedrock.config.notify.shutdown;
+  let timer;
+  await Promise.race([
+    Promise.all([...OPERATIONS.values()].map(({settled}) => settled)),
+    new Promise(resolve => timer = setTimeout(resolve, drainTimeout))
+  ]);
+  clearTimeout(timer);
+  if(OPERATIONS.size > 0) {
+    logger.info(
+      `Aborting ${OPERATIONS.size} polling operation(s) on shutdown.`);
+    for(const {controller} of OPERATIONS.values()) {
+      controller.abort(_createStoppingError());
+    }
+  }
+}
+
+// exposed for testing purposes only
+export function _resetStopping() {
+  STOPPING = false;
 }
 
 // exposed for testing purposes only
@@ -120,6 +446,11 @@ export function _resetPollCache({ttl} = {}) {
   _createPollCache({ttl});
 }
 
+// exposed for testing purposes only
+export function _resetPollErrorCache() {
+  _createPollErrorCache();
+}
+
 // exposed for testing purposes only
 export function _resetPollResultCache({ttl} = {}) {
   _createPollResultCache({ttl});
@@ -134,49 +465,464 @@ function _createPollCache({ttl} = {}) {
   POLL_CACHE = new LruCache(options);
 }
 
+function _createPollErrorCache() {
+  const {max, ttl} = bedrock.config.notify.caches.pollError;
+  POLL_ERROR_CACHE = ttl > 0 ? new LRU({max, ttl}) : undefined;
+}
+
 function _createPollResultCache({ttl} = {}) {
   const cfg = bedrock.config.notify;
   const options = {...cfg.caches.pollResult};
   if(ttl !== undefined) {
     options.ttl = ttl;
   }
-  POLL_RESULT_CACHE = new LRU(options);
+  POLL_RESULT_CACHE = memoryStorage.createPollResultStorage(options);
+  NAMESPACE_CACHES.clear();
+  USE_NAMESPACE_CACHES = true;
+}
+
+function _assertNamespace(namespace) {
+  assert.string(namespace, 'options.namespace');
+  if(namespace.includes(':')) {
+    throw new TypeError('"namespace" must not include ":".');
+  }
+}
+
+// gets the storage key for a watched resource in a namespace
+function _getKey({id, namespace}) {
+  return `${namespace}:${id}`;
+}
+
+function _getNamespaceConfig({namespace}) {
+  return bedrock.config.notify.caches.namespaces[namespace] ?? {};
+}
+
+function _getPollResultStorage({namespace}) {
+  // per-namespace cache settings only apply to default in-memory storage;
+  // poll results in shared or custom storage are only scoped by storage key
+  const {pollResult} = _getNamespaceConfig({namespace});
+  if(!(pollResult && USE_NAMESPACE_CACHES)) {
+    return POLL_RESULT_CACHE;
+  }
+  let storage = NAMESPACE_CACHES.get(namespace);
+  if(!storage) {
+    const cfg = bedrock.config.notify;
+    storage = memoryStorage.createPollResultStorage({
+      ...cfg.caches.pollResult, ...pollResult
+    });
+    NAMESPACE_CACHES.set(namespace, storage);
+  }
+  return storage;
+}
+
+function _assertStorageType({type, name}) {
+  if(!['memory', 'mongodb'].includes(type)) {
+    throw new BedrockError(`Unsupported ${name} storage "${type}".`, {
+      name: 'NotSupportedError',
+      details: {
+        public: true,
+        httpStatusCode: 500
+      }
+    });
+  }
+}
+
+async function _poll({
+  id, namespace, poller, ttl, useCache, quotaKeys,
+  staleWhileRevalidate = false, maxAge, signal
+}) {
+  const key = _getKey({id, namespace});
+  const storage = _getPollResultStorage({namespace});
+  let result;
+  if(useCache) {
+    const {maxStale} = bedrock.config.notify.staleWhileRevalidate;
+    result = await storage.get({
+      id: key, maxStale: staleWhileRevalidate ? maxStale : 0
+    });
+    // do not use a result that was polled longer than `maxAge` ago
+    if(maxAge !== undefined && !(result?.polled > Date.now() - maxAge)) {
+      result = undefined;
+    }
+  }
+  if(result !== undefined && !result.invalidated) {
+    metrics.increment({
+      name: result.stale ? 'pollCacheStaleHits' : 'pollCacheHits'
+    });
+    if(result.stale) {
+      // refresh result in the background, reusing any existing operation
+      _poll({id, namespace, poller, ttl, useCache: false}).catch(
+        error => logger.error(error.message, {error}));
+    }
+    return result;
+  }
+  metrics.increment({name: 'pollCacheMisses'});
+
+  // reuse the error from a recently failed polling operation, if any
+  if(useCache) {
+    const error = POLL_ERROR_CACHE?.get(key);
+    if(error) {
+      metrics.increment({name: 'pollErrorCacheHits'});
+      throw error;
+    }
+  }
+
+  // do not start (or join) a polling op for a caller that is no longer
+  // waiting as nothing would handle the op's rejection once it is aborted
+  signal?.throwIfAborted();
+
+  // if new polling op would exceed the cache size, disallow it
+  const inflight = POLL_CACHE.cache.has(key);
+  if(POLL_CACHE.cache.size === POLL_CACHE.cache.max && !inflight) {
+    metrics.increment({name: 'pollsRejected', label: 'capacity'});
+    throw new BedrockError('Too many concurrent polling operations.', {
+      name: 'QuotaExceededError',
+      details: {
+        public: true,
+        httpStatusCode: 503
+      }
+    });
+  }
+
+  // a new polling op counts against the caller's quotas; joining an
+  // in-flight op does not as it does not poll the resource again
+  const release = quotaKeys && !inflight ?
+    quotas.acquire({quotaKeys}) : undefined;
+  if(inflight) {
+    metrics.increment({name: 'pollsCoalesced'});
+  }
+
+  // use `disposeOnSettle` to clear poll operation from cache once completed
+  const options = {disposeOnSettle: true};
+  const fn = async () => {
+    // abort the operation if it does not complete in time
+    let settle;
+    const operation = {
+      controller: new AbortController(), callers: 0, timedOut: false,
+      // resolves once the operation completes, e.g., to drain it on shutdown
+      settled: new Promise(resolve => settle = resolve)
+    };
+    const {timeout} = bedrock.config.notify.pollers;
+    const timer = setTimeout(() => {
+      operation.timedOut = true;
+      operation.controller.abort(_createTimeoutError());
+    }, timeout);
+    OPERATIONS.set(key, operation);
+    metrics.increment({name: 'pollsInFlight'});
+    try {
+      const result = await _getUncachedPollResult({
+        id, key, storage, poller, ttl, signal: operation.controller.signal
+      });
+      POLL_ERROR_CACHE?.delete(key);
+      _notifyWaiters({key, result});
+      return result;
+    } catch(e) {
+      // do not cache errors from operations aborted by their callers as the
+      // resource did not actually fail to be polled
+      if(!_isAbortedByCallers({key, signal: operation.controller.signal})) {
+        POLL_ERROR_CACHE?.set(key, e);
+      }
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      release?.();
+      metrics.increment({name: 'pollsInFlight', value: -1});
+      if(OPERATIONS.get(key) === operation) {
+        OPERATIONS.delete(key);
+      }
+      settle();
+    }
+  };
+  const promise = POLL_CACHE.memoize({key, fn, options});
+
+  // track callers of the operation so it can be aborted if they all abort
+  const operation = OPERATIONS.get(key);
+  if(!operation) {
+    return promise;
+  }
+  operation.callers++;
+  try {
+    return await _abortable({promise, signal});
+  } finally {
+    if(--operation.callers === 0 && signal?.aborted) {
+      operation.controller.abort(signal.reason);
+    }
+  }
+}
+
+async function _longPoll({
+  id, namespace, poller, ttl, useCache, quotaKeys, staleWhileRevalidate,
+  afterSequence, timeout, signal
+}) {
+  const {longPoll: cfg} = bedrock.config.notify;
+  const deadline = Date.now() + (timeout ?? cfg.timeout);
+
+  let result = await _poll({
+    id, namespace, poller, ttl, useCache, quotaKeys, staleWhileRevalidate,
+    signal
+  });
+  let nextPoll = (result.polled ?? Date.now()) + cfg.pollInterval;
+  while(result.mutable && !(result.sequence > afterSequence)) {
+    signal?.throwIfAborted();
+    const now = Date.now();
+    if(now >= deadline || STOPPING) {
+      break;
+    }
+    if(now >= nextPoll) {
+      // use a result that was polled within the last interval, e.g., by
+      // another long-polling operation for the same resource, so that
+      // concurrent long-polling operations only poll the resource once per
+      // interval
+      result = await _poll({
+        id, namespace, poller, ttl, useCache: true, quotaKeys,
+        maxAge: cfg.pollInterval, signal
+      });
+      nextPoll = (result.polled ?? Date.now()) + cfg.pollInterval;
+      continue;
+    }
+    // wait for the next poll interval unless a new result for the resource
+    // is produced by another polling operation in the meantime
+    const update = await _waitForResult({
+      key: _getKey({id, namespace}),
+      timeout: Math.min(nextPoll, deadline) - now,
+      signal
+    });
+    if(update !== undefined) {
+      result = update;
+    }
+  }
+  return result;
+}
+
+// rejects with the reason `signal` is aborted with if that happens before
+// `promise` settles
+function _abortable({promise, signal}) {
+  if(!signal) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    if(signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, {once: true});
+    promise.then(resolve, reject).finally(
+      () => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// returns `true` if `signal` for the polling operation for `key` was aborted
+// because every caller waiting on the operation aborted (as opposed to the
+// operation timing out)
+function _isAbortedByCallers({key, signal}) {
+  return signal.aborted && !OPERATIONS.get(key)?.timedOut;
+}
+
+function _createStoppingError() {
+  return new BedrockError('Server is shutting down; try again later.', {
+    name: 'InvalidStateError',
+    details: {
+      public: true,
+      httpStatusCode: 503
+    }
+  });
+}
+
+function _createTimeoutError() {
+  return new BedrockError('Polling operation timed out.', {
+    name: 'TimeoutError',
+    details: {
+      public: true,
+      httpStatusCode: 504
+    }
+  });
+}
+
+// produces a multibase-encoded (base64url) sha2-256 multihash of the
+// canonicalized JSON of `value`
+function _digest({value}) {
+  const hash = createHash('sha256')
+    .update(canonicalize(value) ?? '')
+    .digest();
+  const multihash = Buffer.concat([SHA2_256_HEADER, hash]);
+  return `u${multihash.toString('base64url')}`;
+}
+
+// converts an internal poll result to one that is returned from `poll()`,
+// i.e., one without internal properties that includes a JSON patch if
+// requested
+function _toPollResult({result, fromSequence}) {
+  const {history, ...pollResult} = result;
+  delete pollResult.invalidated;
+  if(fromSequence === undefined) {
+    return pollResult;
+  }
+  let from;
+  if(fromSequence === result.sequence) {
+    from = result;
+  } else {
+    from = history?.find(({sequence}) => sequence === fromSequence);
+  }
+  // JSON patches can only be computed between objects (or arrays)
+  if(!(_isObject(from?.value) && _isObject(result.value))) {
+    return pollResult;
+  }
+  const {value, ...delta} = pollResult;
+  delta.fromSequence = fromSequence;
+  delta.patch = jsonPatch.compare(from.value, value);
+  return delta;
+}
+
+function _isObject(value) {
+  return typeof value === 'object' && value !== null;
+}
+
+function _notifyWaiters({key, result}) {
+  const waiters = WAITERS.get(key);
+  if(waiters) {
+    for(const waiter of waiters) {
+      waiter(result);
+    }
+  }
 }
 
-async function _getUncachedPollResult({id, poller, ttl}) {
+function _waitForResult({key, timeout, signal}) {
+  return new Promise(resolve => {
+    let waiters = WAITERS.get(key);
+    if(!waiters) {
+      WAITERS.set(key, waiters = new Set());
+    }
+    const timer = setTimeout(done, timeout);
+    const onAbort = () => done();
+    signal?.addEventListener('abort', onAbort, {once: true});
+    waiters.add(done);
+
+    function done(result) {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      waiters.delete(done);
+      if(waiters.size === 0 && WAITERS.get(key) === waiters) {
+        WAITERS.delete(key);
+      }
+      resolve(result);
+    }
+  });
+}
+
+async function _getUncachedPollResult({
+  id, key, storage, poller, ttl, signal
+}) {
+  if(!LEASE_STORAGE) {
+    return _pollAndStoreResult({id, key, storage, poller, ttl, signal});
+  }
+
+  const owner = randomUUID();
+  const {retryInterval, ttl: leaseTtl} = bedrock.config.notify.leases;
+  while(true) {
+    if(await LEASE_STORAGE.acquire({id: key, owner, ttl: leaseTtl})) {
+      try {
+        return await _pollAndStoreResult({
+          id, key, storage, poller, ttl, signal
+        });
+      } finally {
+        // if release fails, the lease will expire on its own
+        LEASE_STORAGE.release({id: key, owner}).catch(
+          error => logger.error(error.message, {error}));
+      }
+    }
+
+    // another process is polling; wait for it to release its lease and then
+    // use the result it stored
+    do {
+      await new Promise(r => setTimeout(r, retryInterval));
+      signal.throwIfAborted();
+    } while(await LEASE_STORAGE.has({id: key}));
+    const result = await storage.get({id: key});
+    if(result !== undefined) {
+      return result;
+    }
+    // no result was stored (e.g., the other process failed to poll), so
+    // try to acquire the lease again
+  }
+}
+
+async function _pollAndStoreResult({id, key, storage, poller, ttl, signal}) {
+  // an expired (stale) result is still used, if available, so that the
+  // `sequence` (and history) of the result continues from it
   let sequence = 0;
-  const currentResult = POLL_RESULT_CACHE.get(id);
+  const {maxStale} = bedrock.config.notify.staleWhileRevalidate;
+  const currentResult = await storage.get({id: key, maxStale});
   if(currentResult !== undefined) {
-    if(!currentResult.mutable) {
+    if(!(currentResult.mutable || currentResult.invalidated ||
+      currentResult.stale)) {
       // result is not mutable; update TTL to max and return it
-      POLL_RESULT_CACHE.set(id, currentResult, {ttl: MAX_TTL});
-      return currentResult;
+      return storage.set({id: key, result: currentResult, ttl: MAX_TTL});
     }
     sequence = currentResult.sequence;
   }
 
-  // poll resource
-  const {mutable, value} = await poller({id, currentResult});
+  // poll resource unless its origin is failing; stop waiting for `poller` if
+  // the operation is aborted, even if `poller` does not itself handle `signal`
+  circuitBreaker.assertClosed({id});
+  let mutable;
+  let value;
+  const start = performance.now();
+  try {
+    ({mutable, value} = await _abortable({
+      promise: poller({id, currentResult, signal}), signal
+    }));
+    circuitBreaker.recordSuccess({id});
+  } catch(e) {
+    const abortedByCallers = _isAbortedByCallers({key, signal});
+    if(!abortedByCallers) {
+      // an error that is specific to the request, e.g., a 404 response for
+      // an unknown ID, shows that the origin is available
+      if(circuitBreaker.isOriginFailure({error: e})) {
+        circuitBreaker.recordFailure({id});
+      } else {
+        circuitBreaker.recordSuccess({id});
+      }
+    }
+    metrics.increment({
+      name: 'pollerErrors',
+      label: abortedByCallers ? 'aborted' :
+        signal.aborted ? 'timeout' : 'error'
+    });
+    throw e;
+  } finally {
+    metrics.observe({
+      name: 'pollerDuration', value: (performance.now() - start) / 1000
+    });
+  }
 
-  // if result has not changed, reuse current result but update cache
+  // if result has not changed, reuse current result but update cache; the
+  // digest of the value is compared as pollers may return a new, but
+  // equivalent, value on every call
   let result;
+  const digest = _digest({value});
   if(currentResult &&
-    value === currentResult.value &&
+    digest === currentResult.digest &&
     mutable === currentResult.mutable) {
-    result = currentResult;
+    result = {...currentResult, polled: Date.now()};
+    delete result.invalidated;
+    delete result.stale;
   } else {
-    // create new result
-    result = {id, sequence: sequence + 1, mutable, value};
-  }
-
-  // update result cache; use max TTL if result is immutable
-  let options;
-  if(!mutable) {
-    options = {ttl: MAX_TTL};
-  } else if(ttl) {
-    options = {ttl};
+    // create new result, keeping a short history of previous values for
+    // computing JSON patches
+    result = {
+      id, sequence: sequence + 1, mutable, value, digest, polled: Date.now()
+    };
+    const {historySize} = bedrock.config.notify.delta;
+    if(currentResult && historySize > 0) {
+      result.history = [
+        {sequence, value: currentResult.value},
+        ...(currentResult.history ?? [])
+      ].slice(0, historySize);
+    }
   }
-  POLL_RESULT_CACHE.set(id, result, options);
 
-  return result;
+  // update result cache; use max TTL if result is immutable; note that the
+  // result that is actually stored is returned as it may differ from `result`
+  // when storage is shared with other processes
+  return storage.set({id: key, result, ttl: mutable ? ttl : MAX_TTL});
 }
@@ -1,9 +1,9 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import {zcapClient as _zcapClient} from './zcapClient.js';
 import assert from 'assert-plus';
+import {read as readWithSignal} from './zcapClient.js';
 
 const {util: {BedrockError}} = bedrock;
 
@@ -30,17 +30,23 @@ const fn = createExchangePoller({
 ```
 */
 export function createExchangePoller({
-  capability, filterExchange, zcapClient = _zcapClient
+  capability, filterExchange, zcapClient
 } = {}) {
   if(typeof capability !== 'string') {
     assert.object(capability, 'options.capability');
   }
-  assert.object(zcapClient, 'options.zcapClient');
+  assert.optionalObject(zcapClient, 'options.zcapClient');
   assert.func(filterExchange, 'options.filterExchange');
 
-  return async function pollExchange({id, currentResult} = {}) {
+  // the default `zcapClient` cannot abort requests, so unless another client
+  // is given, read with the application's key in a way that can
+  const read = zcapClient ?
+    options => zcapClient.read(options) : readWithSignal;
+
+  return async function pollExchange({id, currentResult, signal} = {}) {
     try {
-      const response = await zcapClient.read({url: id, capability});
+      // abort the request, freeing its connection, if `signal` is aborted
+      const response = await read({url: id, capability, signal});
       const {data: {exchange}} = response;
       // consider exchange state mutable while it is not complete/invalid
       const mutable = !(exchange.state === 'complete' ||
@@ -61,10 +67,20 @@ export function createExchangePoller({
       }
       return {value: filtered, mutable};
     } catch(cause) {
+      if(signal?.aborted) {
+        throw signal.reason;
+      }
+      // include the status of any upstream response so that failures of the
+      // exchange server (e.g., 5xx) can be told apart from errors that are
+      // specific to the request (e.g., 404 for an unknown exchange)
+      const details = {httpStatusCode: 500, public: true};
+      if(Number.isInteger(cause?.status)) {
+        details.upstreamStatus = cause.status;
+      }
       throw new BedrockError(
         'Could not fetch exchange state.', {
           name: 'OperationError',
-          details: {httpStatusCode: 500, public: true},
+          details,
           cause
         });
     }
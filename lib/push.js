@@ -1,7 +1,10 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as memoryStorage from './memoryStorage.js';
+import * as metrics from './metrics.js';
+import * as mongodbStorage from './mongodbStorage.js';
 import assert from 'assert-plus';
 import {asyncHandler} from '@bedrock/express';
 import crypto from 'node:crypto';
@@ -9,22 +12,63 @@ import {logger} from './logger.js';
 
 const {util: {BedrockError}} = bedrock;
 
-const TWENTY_MINUTES = 1000 * 60 * 20;
-
-// max clock skew is 5 minutes
-const MAX_CLOCK_SKEW = 1000 * 60 * 5;
-
 /* Multikey registry IDs and encoded header values
-aes-256 | 0xa2 | 256-bit AES symmetric key
+aes-256      | 0xa2   | 256-bit AES symmetric key
+ed25519-priv | 0x1300 | Ed25519 private key
+p256-priv    | 0x1306 | P-256 private key
 */
 const SUPPORTED_KEY_TYPES = new Map([
-  ['aes-256', {header: new Uint8Array([0xa2, 0x01]), size: 32}]
+  ['aes-256', {header: new Uint8Array([0xa2, 0x01]), size: 32}],
+  ['ed25519-priv', {header: new Uint8Array([0x80, 0x26]), size: 32}],
+  ['p256-priv', {header: new Uint8Array([0x86, 0x26]), size: 32}]
 ]);
 
-// load HMAC key from config
-let HMAC_KEY;
+/* Multikey registry IDs and encoded header values
+ed25519-pub | 0xed   | Ed25519 public key
+p256-pub    | 0x1200 | P-256 public key (compressed)
+*/
+const PUBLIC_KEY_HEADERS = new Map([
+  ['ed25519-priv', new Uint8Array([0xed, 0x01])],
+  ['p256-priv', new Uint8Array([0x80, 0x24])]
+]);
+
+// PKCS #8 DER prefixes for importing raw private keys
+const PKCS8_PREFIXES = new Map([
+  ['ed25519-priv', Buffer.from('302e020100300506032b657004220420', 'hex')],
+  ['p256-priv', Buffer.from(
+    '3041020100301306072a8648ce3d020106082a8648ce3d03010704273025020101' +
+    '0420', 'hex')]
+]);
+
+// a parameter in a callback path template, e.g., `:pushToken`
+const PATH_PARAMETER = /:(\w+)/g;
+
+// load push token keys from config; the signing key signs push tokens and
+// every key can verify them (until its `verifyUntil` date, if any)
+let KEYS = [];
+let SIGNING_KEY;
+// HMAC key for verifying push tokens that were created without a key ID
+let LEGACY_HMAC_KEY;
+
+// storage for the nonces of push tokens that have a limited number of uses
+let PUSH_TOKEN_USE_STORAGE;
+// storage for push token revocations
+let PUSH_TOKEN_REVOCATION_STORAGE;
+
 bedrock.events.on('bedrock.init', () => {
-  _loadHmacKey();
+  _loadKeys();
+  _createPushTokenStorage();
+});
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  const {storage} = bedrock.config.notify;
+  if(storage.pushTokenUse === 'mongodb') {
+    PUSH_TOKEN_USE_STORAGE = await mongodbStorage.createPushTokenUseStorage();
+  }
+  if(storage.pushTokenRevocation === 'mongodb') {
+    PUSH_TOKEN_REVOCATION_STORAGE =
+      await mongodbStorage.createPushTokenRevocationStorage();
+  }
 });
 
 /**
@@ -37,53 +81,144 @@ bedrock.events.on('bedrock.init', () => {
  *
  * Note: Push tokens are created and bound to a particular event (e.g., an
  * "exchangeUpdated" event that can be used to trigger polling a VC API
- * exchange). They are NOT bound to a particular resource or event "instance"
- * data. This is a requirement to enable the creation of push-token-based
- * callback URLs that must be passed when watched resources are first created.
+ * exchange). By default, they are NOT bound to a particular resource or event
+ * "instance" data, as push-token-based callback URLs must be passed when
+ * watched resources are first created, i.e., before their IDs are known.
+ * Optional `claims` can bind a push token to other values that are known in
+ * advance, e.g., a pre-generated resource ID or a workflow or tenant ID; see
+ * `expectedClaims` in `verifyPushToken()`.
  *
  * Security considerations: A stolen callback URL can be used by any caller
  * (until the callback URL, i.e., push token, expires) to cause a valid
  * resource (e.g., a VC API exchange) to be polled (but no results returned to
- * the caller). Other methods that involve associating a separate/derived HMAC
- * key or an API token with the created resource don't help mitigate the threat
- * of a stolen callback URL because the extra HMAC signature or API token
- * are expected to travel in the same channel as the callback URL. Introducing
- * a nonce that could be signed over when calling the callback URL would help
- * with this, however, that's too complicated as the callback server then has
- * to track and validate those. This is considered a low-risk and minimal DoS
- * threat that is not worth the complexity to mitigate.
+ * the caller); if the push token is bound to a resource via `claims`, only
+ * that resource can be polled. Other methods that involve associating a
+ * separate/derived HMAC key or an API token with the created resource don't
+ * help mitigate the threat of a stolen callback URL because the extra HMAC
+ * signature or API token are expected to travel in the same channel as the
+ * callback URL. This is considered a low-risk and minimal DoS threat, but for
+ * high-value flows, `oneTime` or `maxUses` can be used to limit how many times
+ * a push token can be used: such a push token includes a nonce that
+ * `verifyPushToken()` records in push token use storage (see
+ * `config.notify.storage.pushTokenUse`) until the push token expires, and
+ * uses beyond the limit are rejected.
+ *
+ * The push token includes the ID of the key that signed it, so push tokens
+ * remain valid while that key is rotated out; see `config.notify.push`. If
+ * `config.notify.push.signatureKeys` is set, push tokens are signed with the
+ * first of these (Ed25519 or P-256) keys so that third parties, e.g.,
+ * exchange servers or gateways, can verify them with its public key (see
+ * `getPublicKeys()`) before using a callback URL; otherwise they are signed
+ * with the first HMAC key in `config.notify.push.hmacKeys`.
+ *
+ * A push token is expressed as `u<keyId>.u<payload>.u<signature>`, where each
+ * part is base64url-encoded; `keyId` is the ID of the key, `payload` is the
+ * JSON array `[event, expires, issued, notBefore, claims, [nonce, maxUses]]`
+ * (elements that are not used are `null` and trailing ones are omitted; times
+ * are in milliseconds since the epoch), and
+ * `signature` is over the UTF-8 bytes of `<keyId>.<payload>` (without the `u`
+ * prefixes). Ed25519 signatures are pure Ed25519 signatures and P-256
+ * signatures are ECDSA SHA-256 signatures in IEEE P1363 (`r || s`) format.
  *
  * @param {object} options - Options to use.
  * @param {string} options.event - An event the push token is for, e.g.,
  *   an "exchangeUpdated" event that is to be used to trigger polling a VC API
  *   exchange.
  * @param {Date} [options.expires] - An expiration date for the push token;
- *   defaults to 20 minutes from creation time if not provided; 20 minutes is
- *   based on a common use case of polling a resource that has a TTL for
- *   a ~15 minute task plus some overhead to allow for that creation of that
- *   resource and clock skew.
+ *   defaults to the configured default lifetime (20 minutes unless changed)
+ *   from creation time if not provided; 20 minutes is based on a common use
+ *   case of polling a resource that has a TTL for a ~15 minute task plus some
+ *   overhead to allow for that creation of that resource and clock skew; it
+ *   must not be more than the configured maximum lifetime from creation time.
+ * @param {Date} [options.notBefore] - An optional date before which the push
+ *   token is not valid, e.g., when the event it is for cannot occur before
+ *   then.
+ * @param {object} [options.claims] - Optional claims to bind the push token
+ *   to, as an object with string values, e.g., `{resourceId: '<ID>'}`; the
+ *   claims are encoded (but not encrypted) in the push token.
+ * @param {boolean} [options.oneTime=false] - Set to `true` to allow the push
+ *   token to be used only once; same as `maxUses: 1`.
+ * @param {number} [options.maxUses] - The maximum number of times the push
+ *   token can be used; if not given, it can be used any number of times
+ *   until it expires.
  *
  * @returns {Promise<object>} An object with a `token` property expressing the
  *   push token as a string.
  */
-export async function createPushToken({event, expires} = {}) {
+export async function createPushToken({
+  event, expires, notBefore, claims, oneTime = false, maxUses
+} = {}) {
   assert.string(event, 'options.event');
   assert.optionalDate(expires, 'options.expires');
+  assert.optionalDate(notBefore, 'options.notBefore');
+  if(claims !== undefined && !_isClaims(claims)) {
+    throw new TypeError(
+      '"options.claims" must be an object with string values.');
+  }
+  assert.bool(oneTime, 'options.oneTime');
+  if(maxUses !== undefined && !(Number.isInteger(maxUses) && maxUses > 0)) {
+    throw new TypeError('"options.maxUses" must be a positive integer.');
+  }
+  if(oneTime && maxUses !== undefined && maxUses !== 1) {
+    throw new TypeError('"options.maxUses" must be 1 if "oneTime" is set.');
+  }
+  maxUses = oneTime ? 1 : maxUses;
 
+  const {lifetime} = bedrock.config.notify.push;
   const now = Date.now();
-  expires = expires ?? new Date(now + TWENTY_MINUTES);
+  expires = expires ?? new Date(now + lifetime.default);
+  if(expires.getTime() <= now) {
+    throw new BedrockError('Push token "expires" must be in the future.', {
+      name: 'ConstraintError',
+      details: {
+        public: true,
+        httpStatusCode: 400
+      }
+    });
+  }
+  if(expires.getTime() - now > lifetime.max) {
+    throw new BedrockError(
+      'Push token lifetime exceeds the maximum allowed lifetime.', {
+        name: 'ConstraintError',
+        details: {
+          public: true,
+          httpStatusCode: 400,
+          maxLifetime: lifetime.max
+        }
+      });
+  }
+  if(notBefore && notBefore >= expires) {
+    throw new BedrockError(
+      'Push token "notBefore" must be before "expires".', {
+        name: 'ConstraintError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+  }
 
   // JWT-like but shorter; extra JWT complexity not needed, token is opaque to
   // external systems (only understood by the application running this code),
   // the format can change if needed in the future, and push notifications
   // merely trigger polling and push messages can be missed due to arbitrary
   // failures, so already require resilience
-  const json = JSON.stringify([event, expires.getTime()]);
+  const elements = [
+    event, expires.getTime(), now, notBefore?.getTime() ?? null,
+    claims ?? null,
+    maxUses === undefined ?
+      null : [crypto.randomBytes(16).toString('base64url'), maxUses]
+  ];
+  while(elements.at(-1) === null) {
+    elements.pop();
+  }
+  const json = JSON.stringify(elements);
   const payload = Buffer.from(json).toString('base64url');
 
-  if(!HMAC_KEY) {
+  const key = SIGNING_KEY;
+  if(!key || key.verifyUntil !== undefined) {
     throw new BedrockError(
-      'Push notification is disabled; no HMAC key is configured.', {
+      'Push notification is disabled; no push token key is configured.', {
         name: 'NotSupportedError',
         details: {
           public: true,
@@ -92,10 +227,11 @@ export async function createPushToken({event, expires} = {}) {
       });
   }
 
-  // hmac expiration time as string to produce push token
-  const signature = await _hs256({secret: HMAC_KEY, string: payload});
+  // sign key ID and payload to produce push token
+  const kid = Buffer.from(key.id).toString('base64url');
+  const signature = await _sign({key, string: `${kid}.${payload}`});
   const multibaseSignature = `u${signature}`;
-  const token = `u${payload}.${multibaseSignature}`;
+  const token = `u${kid}.u${payload}.${multibaseSignature}`;
   return {token, multibaseSignature};
 }
 
@@ -105,34 +241,58 @@ export async function createPushToken({event, expires} = {}) {
  * action in response to the event, e.g., prior to executing a `poll()`
  * operation in response to the use of a push token.
  *
+ * Push tokens that have been revoked (see `revokePushToken()` and
+ * `revokePushTokens()`) are rejected. If the push token has a limited number
+ * of uses (see `createPushToken()`), each successful verification counts as a
+ * use and verification fails once the push token has been used up.
+ *
  * @param {object} options - Options to use.
  * @param {string} options.pushToken - The push token to verify.
  * @param {string} [options.expectedEvent] - An optional event to expect
  *   to be parsed from the push token.
+ * @param {object} [options.expectedClaims] - Optional claims to expect in
+ *   the push token, e.g., `{resourceId: '<ID>'}`; every expected claim must
+ *   be present in the push token with the same value, so push tokens without
+ *   claims are rejected when any are expected.
  *
- * @returns {Promise<object>} An object with the `event` associated with
- *   the push token.
+ * @returns {Promise<object>} An object with the `event`, `expires`, `issued`
+ *   (if known), and `claims` (if any) associated with the push token.
  */
-export async function verifyPushToken({pushToken, expectedEvent} = {}) {
+export async function verifyPushToken({
+  pushToken, expectedEvent, expectedClaims
+} = {}) {
   assert.string(pushToken, 'options.pushToken');
   assert.optionalString(expectedEvent, 'options.expectedEvent');
+  if(expectedClaims !== undefined && !_isClaims(expectedClaims)) {
+    throw new TypeError(
+      '"options.expectedClaims" must be an object with string values.');
+  }
 
+  // reason for a verification failure, tracked in metrics
+  let reason = 'malformed';
+  let parsed;
   try {
-    const [mbPayload, mbSignature] = pushToken.split('.');
-    if(!(mbPayload.startsWith('u') && mbSignature.startsWith('u'))) {
-      throw new BedrockError('Invalid push token format.', {
-        name: 'SyntaxError',
+    parsed = _parsePushToken({pushToken});
+    const {
+      mbKeyId, mbSignature, signedString, event, expires, issued, notBefore,
+      claims
+    } = parsed;
+    const {lifetime, maxClockSkew} = bedrock.config.notify.push;
+    const now = Date.now();
+    if(_compareTime({t1: now, t2: expires, maxClockSkew}) === 1) {
+      reason = 'expired';
+      throw new BedrockError('Push token has expired.', {
+        name: 'ConstraintError',
         details: {
           public: true,
           httpStatusCode: 400
         }
       });
     }
-
-    const [event, expires] = JSON.parse(
-      Buffer.from(mbPayload.slice(1), 'base64url'));
-    if(_compareTime({t1: Date.now(), t2: expires}) === 1) {
-      throw new BedrockError('Push token has expired.', {
+    if(notBefore !== undefined &&
+      _compareTime({t1: now, t2: notBefore, maxClockSkew}) === -1) {
+      reason = 'notYetValid';
+      throw new BedrockError('Push token is not yet valid.', {
         name: 'ConstraintError',
         details: {
           public: true,
@@ -140,8 +300,21 @@ export async function verifyPushToken({pushToken, expectedEvent} = {}) {
         }
       });
     }
+    // push tokens without an issuance date predate the lifetime policy
+    if(issued !== undefined && expires - issued > lifetime.max) {
+      reason = 'lifetimeExceeded';
+      throw new BedrockError(
+        'Push token lifetime exceeds the maximum allowed lifetime.', {
+          name: 'ConstraintError',
+          details: {
+            public: true,
+            httpStatusCode: 400
+          }
+        });
+    }
 
     if(event !== expectedEvent) {
+      reason = 'eventMismatch';
       throw new BedrockError('Push token "expectedEvent" does not match.', {
         name: 'ConstraintError',
         details: {
@@ -151,14 +324,34 @@ export async function verifyPushToken({pushToken, expectedEvent} = {}) {
       });
     }
 
-    const {
-      multibaseSignature
-    } = await createPushToken({event, expires: new Date(expires)});
-    // note intentional comparison of UTF-8 encoded chars; no need to decode
-    // from `base64url` to compare
-    if(!crypto.timingSafeEqual(
-      Buffer.from(mbSignature), Buffer.from(multibaseSignature))) {
-      throw new BedrockError('Push token signature does not match.', {
+    if(expectedClaims && !Object.entries(expectedClaims).every(
+      ([name, value]) => Object.hasOwn(claims ?? {}, name) &&
+        claims[name] === value)) {
+      reason = 'claimsMismatch';
+      throw new BedrockError('Push token "expectedClaims" do not match.', {
+        name: 'ConstraintError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+    }
+
+    reason = 'unknownKey';
+    const key = mbKeyId === undefined ? LEGACY_HMAC_KEY :
+      KEYS.find(({id}) => id === Buffer.from(
+        mbKeyId.slice(1), 'base64url').toString());
+    if(!key) {
+      throw new BedrockError('Push token key not found.', {
+        name: 'NotFoundError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+    }
+    if(key.verifyUntil !== undefined && Date.now() > key.verifyUntil) {
+      throw new BedrockError('Push token key has been retired.', {
         name: 'ConstraintError',
         details: {
           public: true,
@@ -167,17 +360,304 @@ export async function verifyPushToken({pushToken, expectedEvent} = {}) {
       });
     }
 
-    return {event, expires};
+    reason = 'invalidSignature';
+    if(!await _verify({
+      key, string: signedString, signature: mbSignature.slice(1)
+    })) {
+      throw new BedrockError('Push token signature does not match.', {
+        name: 'ConstraintError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+    }
   } catch(cause) {
-    throw new BedrockError('Invalid push token.', {
-      name: 'OperationError',
-      cause,
+    throw _createInvalidPushTokenError({reason, cause});
+  }
+
+  // storage errors, e.g., from a database outage, do not mean that the push
+  // token is invalid, so they are not reported as verification failures
+  const {signedString, event, expires, issued, notBefore, claims, uses} =
+    parsed;
+  const revoked = await _callPushTokenStorage(
+    () => PUSH_TOKEN_REVOCATION_STORAGE.isRevoked({
+      id: _getPushTokenId({signedString}), event, issued
+    }));
+  if(revoked) {
+    throw _createInvalidPushTokenError({
+      reason: 'revoked',
+      cause: new BedrockError('Push token has been revoked.', {
+        name: 'ConstraintError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      })
+    });
+  }
+
+  // record use of push token only once its signature has been verified
+  if(uses) {
+    const [nonce, maxUses] = uses;
+    const {maxClockSkew} = bedrock.config.notify.push;
+    const count = await _callPushTokenStorage(
+      () => PUSH_TOKEN_USE_STORAGE.use({
+        id: nonce, expires: expires + maxClockSkew
+      }));
+    if(count > maxUses) {
+      throw _createInvalidPushTokenError({
+        reason: 'usedUp',
+        cause: new BedrockError('Push token has already been used.', {
+          name: 'ConstraintError',
+          details: {
+            public: true,
+            httpStatusCode: 400
+          }
+        })
+      });
+    }
+  }
+
+  metrics.increment({name: 'pushTokenVerifications', label: 'valid'});
+  const result = {event, expires};
+  if(issued !== undefined) {
+    result.issued = issued;
+  }
+  if(notBefore !== undefined) {
+    result.notBefore = notBefore;
+  }
+  if(claims !== undefined) {
+    result.claims = claims;
+  }
+  return result;
+}
+
+/**
+ * Revokes a push token so that it is rejected by `verifyPushToken()` (and
+ * `createVerifyPushTokenMiddleware()`), e.g., when the watched resource it
+ * was created for has been cancelled or its callback URL has leaked. The
+ * revocation is kept until the push token expires.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.pushToken - The push token to revoke.
+ *
+ * @returns {Promise} Settles once the push token has been revoked.
+ */
+export async function revokePushToken({pushToken} = {}) {
+  assert.string(pushToken, 'options.pushToken');
+
+  const {signedString, expires} = _parsePushToken({pushToken});
+  await PUSH_TOKEN_REVOCATION_STORAGE.revoke({
+    id: _getPushTokenId({signedString}),
+    expires: expires + bedrock.config.notify.push.maxClockSkew
+  });
+}
+
+/**
+ * Revokes every push token for an event and/or issued within a time window
+ * so that they are rejected by `verifyPushToken()` (and
+ * `createVerifyPushTokenMiddleware()`), e.g., after a security incident.
+ * Push tokens that do not include when they were issued (ones created by
+ * earlier versions of this module) are revoked by any time window.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.event] - The event of the push tokens to revoke.
+ * @param {Date} [options.issuedAfter] - Only revoke push tokens issued after
+ *   this date.
+ * @param {Date} [options.issuedBefore] - Only revoke push tokens issued
+ *   before this date.
+ * @param {Date} [options.expires] - When the revocation can be forgotten,
+ *   e.g., once every push token it applies to has expired; if not given, it
+ *   is kept indefinitely.
+ *
+ * @returns {Promise} Settles once the push tokens have been revoked.
+ */
+export async function revokePushTokens({
+  event, issuedAfter, issuedBefore, expires
+} = {}) {
+  assert.optionalString(event, 'options.event');
+  assert.optionalDate(issuedAfter, 'options.issuedAfter');
+  assert.optionalDate(issuedBefore, 'options.issuedBefore');
+  assert.optionalDate(expires, 'options.expires');
+
+  if(event === undefined && issuedAfter === undefined &&
+    issuedBefore === undefined) {
+    throw new TypeError(
+      'One of "event", "issuedAfter", or "issuedBefore" is required.');
+  }
+
+  await PUSH_TOKEN_REVOCATION_STORAGE.revokeMatching({
+    event,
+    issuedAfter: issuedAfter?.getTime(),
+    issuedBefore: issuedBefore?.getTime(),
+    expires: expires?.getTime()
+  });
+}
+
+/**
+ * Sets the storage adapter to use for push token revocations. This can be
+ * used to provide custom storage, e.g., storage that is shared across
+ * processes via some other database. See `memoryStorage.js` for the storage
+ * adapter interface.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.storage - The push token revocation storage
+ *   adapter.
+ */
+export function setPushTokenRevocationStorage({storage} = {}) {
+  assert.object(storage, 'options.storage');
+  assert.func(storage.revoke, 'options.storage.revoke');
+  assert.func(storage.revokeMatching, 'options.storage.revokeMatching');
+  assert.func(storage.isRevoked, 'options.storage.isRevoked');
+  PUSH_TOKEN_REVOCATION_STORAGE = storage;
+}
+
+/**
+ * Sets the storage adapter to use for recording uses of push tokens that
+ * have a limited number of uses. This can be used to provide custom storage,
+ * e.g., storage that is shared across processes via some other database. See
+ * `memoryStorage.js` for the storage adapter interface.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.storage - The push token use storage adapter.
+ */
+export function setPushTokenUseStorage({storage} = {}) {
+  assert.object(storage, 'options.storage');
+  assert.func(storage.use, 'options.storage.use');
+  PUSH_TOKEN_USE_STORAGE = storage;
+}
+
+/**
+ * Gets the public keys that can be used to verify push tokens signed with
+ * `config.notify.push.signatureKeys`, e.g., to publish them to third parties
+ * that verify push tokens; retired keys are not included.
+ *
+ * @returns {Array<object>} An array of objects with the `id`, `type`
+ *   (`Multikey`), and `publicKeyMultibase` of each public key.
+ */
+export function getPublicKeys() {
+  const now = Date.now();
+  return KEYS
+    .filter(({publicKeyMultibase, verifyUntil}) => publicKeyMultibase &&
+      !(verifyUntil < now))
+    .map(({id, publicKeyMultibase}) => ({
+      id, type: 'Multikey', publicKeyMultibase
+    }));
+}
+
+/**
+ * Creates a push token (see `createPushToken()`) and a callback URL that
+ * includes it, e.g., to pass to a VC API exchange server as the URL to call
+ * when an exchange is updated. The URL is built from the same path template
+ * that `createPushCallbackRoute()` uses by default
+ * (`config.notify.push.callbackPath`), so it matches the route.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.event - The event the push token is for.
+ * @param {string} [options.path] - The path template for the callback URL,
+ *   e.g., `/workflows/:workflowId/callbacks/:pushToken`; it must include a
+ *   `:pushToken` parameter and defaults to the configured template.
+ * @param {object} [options.params] - Values for any other parameters in
+ *   `path`, e.g., `{workflowId: '<ID>'}`.
+ * @param {string} [options.baseUrl] - The base URL for the callback URL;
+ *   defaults to `config.server.baseUri`.
+ * @param {Date} [options.expires] - See `createPushToken()`.
+ * @param {Date} [options.notBefore] - See `createPushToken()`.
+ * @param {object} [options.claims] - See `createPushToken()`.
+ * @param {boolean} [options.oneTime] - See `createPushToken()`.
+ * @param {number} [options.maxUses] - See `createPushToken()`.
+ *
+ * @returns {Promise<object>} An object with the callback `url` and the push
+ *   `token` it includes.
+ */
+export async function createCallbackUrl({
+  event, path, params = {}, baseUrl, expires, notBefore, claims, oneTime,
+  maxUses
+} = {}) {
+  assert.string(event, 'options.event');
+  assert.optionalString(path, 'options.path');
+  assert.object(params, 'options.params');
+  assert.optionalString(baseUrl, 'options.baseUrl');
+
+  path = path ?? bedrock.config.notify.push.callbackPath;
+  baseUrl = baseUrl ?? bedrock.config.server.baseUri;
+  const {names} = _compilePathTemplate({path});
+  for(const name of names) {
+    if(name !== 'pushToken' && typeof params[name] !== 'string') {
+      throw new TypeError(`"options.params.${name}" must be a string.`);
+    }
+  }
+
+  const {token} = await createPushToken({
+    event, expires, notBefore, claims, oneTime, maxUses
+  });
+  const values = {...params, pushToken: token};
+  const pathname = path.replace(
+    PATH_PARAMETER, (match, name) => encodeURIComponent(values[name]));
+  return {url: `${baseUrl.replace(/\/+$/, '')}${pathname}`, token};
+}
+
+/**
+ * Parses a callback URL that was created via `createCallbackUrl()` and
+ * verifies the push token it includes (see `verifyPushToken()`). As with
+ * `verifyPushToken()`, if the push token has a limited number of uses, each
+ * successful call counts as a use.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.url - The callback URL.
+ * @param {string} [options.path] - The path template the callback URL was
+ *   created with; defaults to the configured template.
+ * @param {string} [options.baseUrl] - The base URL the callback URL was
+ *   created with; defaults to `config.server.baseUri`.
+ * @param {string} [options.expectedEvent] - See `verifyPushToken()`.
+ * @param {object} [options.expectedClaims] - See `verifyPushToken()`.
+ *
+ * @returns {Promise<object>} An object with the `pushToken` and any other
+ *   `params` parsed from the callback URL along with the result of
+ *   `verifyPushToken()`.
+ */
+export async function parseCallbackUrl({
+  url, path, baseUrl, expectedEvent, expectedClaims
+} = {}) {
+  assert.string(url, 'options.url');
+  assert.optionalString(path, 'options.path');
+  assert.optionalString(baseUrl, 'options.baseUrl');
+
+  path = path ?? bedrock.config.notify.push.callbackPath;
+  baseUrl = baseUrl ?? bedrock.config.server.baseUri;
+  const {names, regex} = _compilePathTemplate({path});
+
+  let params;
+  try {
+    const parsed = new URL(url);
+    const base = new URL(baseUrl);
+    const basePath = base.pathname.replace(/\/+$/, '');
+    const match = parsed.origin === base.origin &&
+      parsed.pathname.startsWith(basePath) &&
+      regex.exec(parsed.pathname.slice(basePath.length));
+    if(match) {
+      params = Object.fromEntries(names.map(
+        (name, i) => [name, decodeURIComponent(match[i + 1])]));
+    }
+  } catch(e) {
+    params = undefined;
+  }
+  if(!params) {
+    throw new BedrockError('Invalid callback URL.', {
+      name: 'DataError',
       details: {
         public: true,
         httpStatusCode: 400
       }
     });
   }
+
+  const {pushToken, ...rest} = params;
+  const result = await verifyPushToken({
+    pushToken, expectedEvent, expectedClaims
+  });
+  return {...result, pushToken, params: rest};
 }
 
 /**
@@ -205,11 +685,11 @@ export async function verifyPushToken({pushToken, expectedEvent} = {}) {
  *
  * On resource creation:
  * 1. Create `expires` date.
- * 2. Use `createPushToken({event: '<someEvent>', expires})` to get
- *    `pushToken`.
- * 3. Create `callbackUrl` = '<baseUrl>/callbacks/<pushToken>`.
- * 4. Create resource, e.g., VC API exchange, passing `callbackUrl`, i.e., as
- *    a variable in a VC API exchange.
+ * 2. Use `createCallbackUrl({event: '<someEvent>', expires})` to get a
+ *    callback `url` that includes a new push token; pass the same `path` as
+ *    the route if it does not use the configured callback path template.
+ * 3. Create resource, e.g., VC API exchange, passing the callback `url`,
+ *    i.e., as a variable in a VC API exchange.
  *
  * Now the resource server will asynchronously use the callback URL when
  * event(s) of type `event` occur.
@@ -218,21 +698,163 @@ export async function verifyPushToken({pushToken, expectedEvent} = {}) {
  *
  * @param {object} options - Options to use.
  * @param {string} options.event - The event type the handler is for.
+ * @param {Function} [options.getExpectedClaims] - A function that is passed
+ *   `{req}` and returns (or resolves to) the claims to expect in the push
+ *   token, e.g., `{resourceId: req.body.event.data.exchangeId}`; see
+ *   `verifyPushToken()`.
  *
  * @returns {Function} An express middleware function.
  */
-export function createVerifyPushTokenMiddleware({event} = {}) {
+export function createVerifyPushTokenMiddleware({
+  event, getExpectedClaims
+} = {}) {
   assert.string(event, 'options.event');
+  assert.optionalFunc(getExpectedClaims, 'options.getExpectedClaims');
   return asyncHandler(async function pushEventMiddleware(req, res, next) {
     const {pushToken} = req.params;
-    await verifyPushToken({pushToken, expectedEvent: event});
+    const expectedClaims = await getExpectedClaims?.({req});
+    await verifyPushToken({pushToken, expectedEvent: event, expectedClaims});
     next();
   });
 }
 
-function _compareTime({t1, t2, maxClockSkew = MAX_CLOCK_SKEW}) {
-  // `maxClockSkew` is in seconds, so transform to milliseconds
-  if(Math.abs(t1 - t2) < (maxClockSkew * 1000)) {
+// parses a push token without verifying it
+function _parsePushToken({pushToken}) {
+  // push tokens created without a key ID have no `mbKeyId` part
+  const parts = pushToken.split('.');
+  const [mbKeyId, mbPayload, mbSignature] = parts.length === 2 ?
+    [undefined, ...parts] : parts;
+  if(!(parts.length <= 3 &&
+    (mbKeyId === undefined || mbKeyId.startsWith('u')) &&
+    mbPayload?.startsWith('u') && mbSignature?.startsWith('u'))) {
+    throw new BedrockError('Invalid push token format.', {
+      name: 'SyntaxError',
+      details: {
+        public: true,
+        httpStatusCode: 400
+      }
+    });
+  }
+
+  const elements = JSON.parse(Buffer.from(mbPayload.slice(1), 'base64url'));
+  if(!Array.isArray(elements)) {
+    throw new BedrockError('Invalid push token payload.', {
+      name: 'SyntaxError',
+      details: {
+        public: true,
+        httpStatusCode: 400
+      }
+    });
+  }
+  // elements that are not used are `null`
+  const [
+    event, expires, issued, notBefore, claims, uses
+  ] = elements.map(element => element ?? undefined);
+  if(!(Number.isInteger(expires) &&
+    [issued, notBefore].every(t => t === undefined || Number.isInteger(t)))) {
+    throw new BedrockError('Invalid push token dates.', {
+      name: 'SyntaxError',
+      details: {
+        public: true,
+        httpStatusCode: 400
+      }
+    });
+  }
+  if(claims !== undefined && !_isClaims(claims)) {
+    throw new BedrockError('Invalid push token claims.', {
+      name: 'SyntaxError',
+      details: {
+        public: true,
+        httpStatusCode: 400
+      }
+    });
+  }
+  if(uses !== undefined && !(Array.isArray(uses) &&
+    typeof uses[0] === 'string' && Number.isInteger(uses[1]))) {
+    throw new BedrockError('Invalid push token nonce.', {
+      name: 'SyntaxError',
+      details: {
+        public: true,
+        httpStatusCode: 400
+      }
+    });
+  }
+  // the signature is over the key ID (if any) and payload
+  const signedString = mbKeyId === undefined ?
+    mbPayload.slice(1) : `${mbKeyId.slice(1)}.${mbPayload.slice(1)}`;
+  return {
+    mbKeyId, mbSignature, signedString, event, expires, issued, notBefore,
+    claims, uses
+  };
+}
+
+function _compilePathTemplate({path}) {
+  const names = [];
+  let source = '';
+  let index = 0;
+  for(const match of path.matchAll(PATH_PARAMETER)) {
+    source += _escapeRegExp(path.slice(index, match.index)) + '([^/]+)';
+    names.push(match[1]);
+    index = match.index + match[0].length;
+  }
+  source += _escapeRegExp(path.slice(index));
+  if(!names.includes('pushToken')) {
+    throw new TypeError(
+      'Callback path template must include a ":pushToken" parameter.');
+  }
+  return {names, regex: new RegExp(`^${source}$`)};
+}
+
+function _createInvalidPushTokenError({reason, cause}) {
+  metrics.increment({name: 'pushTokenVerifications', label: reason});
+  // `reason` reports which check failed, e.g., "expired"
+  return new BedrockError('Invalid push token.', {
+    name: 'OperationError',
+    cause,
+    details: {
+      public: true,
+      httpStatusCode: 400,
+      reason
+    }
+  });
+}
+
+function _escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function _isClaims(claims) {
+  return typeof claims === 'object' && claims !== null &&
+    !Array.isArray(claims) &&
+    Object.values(claims).every(value => typeof value === 'string');
+}
+
+// calls push token revocation or use storage; a storage failure says nothing
+// about the push token, so it is reported as a 5xx error that can be retried
+// instead of as an invalid push token
+async function _callPushTokenStorage(fn) {
+  try {
+    return await fn();
+  } catch(cause) {
+    if(cause instanceof BedrockError &&
+      cause.details?.httpStatusCode >= 500) {
+      throw cause;
+    }
+    throw new BedrockError(
+      'Push token storage is unavailable; try again later.', {
+        name: 'OperationError',
+        cause,
+        details: {
+          public: true,
+          httpStatusCode: 503
+        }
+      });
+  }
+}
+
+function _compareTime({t1, t2, maxClockSkew}) {
+  // `maxClockSkew` is in milliseconds
+  if(Math.abs(t1 - t2) < maxClockSkew) {
     // times are equal within the max clock skew
     return 0;
   }
@@ -252,7 +874,37 @@ async function _hs256({secret, string}) {
   return crypto.createHmac('sha256', secret).update(string).digest('base64url');
 }
 
-function _loadKey(secretKeyMultibase) {
+async function _sign({key, string}) {
+  if(key.keyType === 'aes-256') {
+    return _hs256({secret: key.secretKey, string});
+  }
+  const data = Buffer.from(string);
+  const signature = key.keyType === 'ed25519-priv' ?
+    crypto.sign(null, data, key.secretKey) :
+    crypto.sign('sha256', data, {
+      key: key.secretKey, dsaEncoding: 'ieee-p1363'
+    });
+  return signature.toString('base64url');
+}
+
+async function _verify({key, string, signature}) {
+  if(key.keyType === 'aes-256') {
+    const expected = await _hs256({secret: key.secretKey, string});
+    // note intentional comparison of UTF-8 encoded chars; no need to decode
+    // from `base64url` to compare
+    return signature.length === expected.length && crypto.timingSafeEqual(
+      Buffer.from(signature), Buffer.from(expected));
+  }
+  const data = Buffer.from(string);
+  const bytes = Buffer.from(signature, 'base64url');
+  return key.keyType === 'ed25519-priv' ?
+    crypto.verify(null, data, key.publicKey, bytes) :
+    crypto.verify('sha256', data, {
+      key: key.publicKey, dsaEncoding: 'ieee-p1363'
+    }, bytes);
+}
+
+function _loadMultikey(secretKeyMultibase) {
   if(!secretKeyMultibase?.startsWith('u')) {
     throw new BedrockError(
       'Unsupported multibase header; ' +
@@ -290,7 +942,8 @@ function _loadKey(secretKeyMultibase) {
   }
   if(keyType === undefined) {
     throw new BedrockError(
-      'Unsupported multikey type; only AES-256 is supported.', {
+      'Unsupported multikey type; only AES-256, Ed25519, and P-256 are ' +
+      'supported.', {
         name: 'NotSupportedError',
         details: {
           public: true,
@@ -299,18 +952,42 @@ function _loadKey(secretKeyMultibase) {
       });
   }
 
-  return secretKey;
+  if(keyType === 'aes-256') {
+    return {keyType, secretKey};
+  }
+
+  // import asymmetric secret key and derive its public key
+  secretKey = crypto.createPrivateKey({
+    key: Buffer.concat([PKCS8_PREFIXES.get(keyType), secretKey]),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  const publicKey = crypto.createPublicKey(secretKey);
+  const {x, y} = publicKey.export({format: 'jwk'});
+  const rawPublicKey = keyType === 'ed25519-priv' ?
+    Buffer.from(x, 'base64url') :
+    Buffer.concat([
+      // compressed point prefix is based on the parity of `y`
+      Buffer.from([(Buffer.from(y, 'base64url').at(-1) & 1) ? 0x03 : 0x02]),
+      Buffer.from(x, 'base64url')
+    ]);
+  const publicKeyMultibase = 'u' + Buffer.concat([
+    PUBLIC_KEY_HEADERS.get(keyType), rawPublicKey
+  ]).toString('base64url');
+  return {keyType, secretKey, publicKey, publicKeyMultibase};
 }
 
 // exported for testing purposes only
-export function _loadHmacKey() {
-  const {hmacKey} = bedrock.config.notify.push;
-  if(!hmacKey) {
-    logger.info('Push notification is disabled.');
-  } else {
-    if(!(hmacKey.id && typeof hmacKey.id === 'string')) {
+export function _loadKeys() {
+  const {
+    hmacKeys = [], hmacKey, signatureKeys = []
+  } = bedrock.config.notify.push;
+  for(const [name, value] of [
+    ['hmacKeys', hmacKeys], ['signatureKeys', signatureKeys]
+  ]) {
+    if(!Array.isArray(value)) {
       throw new BedrockError(
-        'Invalid HMAC key configuration; key "id" must be a string.', {
+        `Invalid push token key configuration; "${name}" must be an array.`, {
           name: 'DataError',
           details: {
             public: true,
@@ -318,7 +995,98 @@ export function _loadHmacKey() {
           }
         });
     }
-    HMAC_KEY = _loadKey(hmacKey.secretKeyMultibase);
+  }
+  // a single `hmacKey` is supported for backwards compatibility; it is used
+  // as the last HMAC key and also verifies push tokens without a key ID
+  const hmacKeyConfigs = hmacKey ? [...hmacKeys, hmacKey] : hmacKeys;
+  const loadedHmacKeys = hmacKeyConfigs.map(
+    config => _loadKey({...config, asymmetric: false}));
+  const loadedSignatureKeys = signatureKeys.map(
+    config => _loadKey({...config, asymmetric: true}));
+  KEYS = [...loadedSignatureKeys, ...loadedHmacKeys];
+  LEGACY_HMAC_KEY = hmacKey ? loadedHmacKeys.at(-1) : undefined;
+  SIGNING_KEY = loadedSignatureKeys[0] ?? loadedHmacKeys[0];
+  if(!SIGNING_KEY) {
+    logger.info('Push notification is disabled.');
+  } else if(SIGNING_KEY.verifyUntil !== undefined) {
+    logger.info(
+      'Push notification is disabled; the signing key has been retired.');
+  } else {
     logger.info('Push notification is enabled.');
   }
 }
+
+function _loadKey({id, secretKeyMultibase, verifyUntil, asymmetric} = {}) {
+  if(!(id && typeof id === 'string')) {
+    throw new BedrockError(
+      'Invalid push token key configuration; key "id" must be a string.', {
+        name: 'DataError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+  }
+  if(verifyUntil !== undefined && isNaN(Date.parse(verifyUntil))) {
+    throw new BedrockError(
+      'Invalid push token key configuration; key "verifyUntil" must be a ' +
+      'date.', {
+        name: 'DataError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+  }
+  const key = _loadMultikey(secretKeyMultibase);
+  if(asymmetric === (key.keyType === 'aes-256')) {
+    throw new BedrockError(
+      'Invalid push token key configuration; "hmacKeys" must be AES-256 ' +
+      'keys and "signatureKeys" must be Ed25519 or P-256 keys.', {
+        name: 'DataError',
+        details: {
+          public: true,
+          httpStatusCode: 400
+        }
+      });
+  }
+  return {
+    id,
+    ...key,
+    verifyUntil: verifyUntil === undefined ?
+      undefined : Date.parse(verifyUntil)
+  };
+}
+
+function _createPushTokenStorage() {
+  const {caches, storage} = bedrock.config.notify;
+  for(const [name, type] of [
+    ['use', storage.pushTokenUse],
+    ['revocation', storage.pushTokenRevocation]
+  ]) {
+    if(!['memory', 'mongodb'].includes(type)) {
+      throw new BedrockError(
+        `Unsupported push token ${name} storage "${type}".`, {
+          name: 'NotSupportedError',
+          details: {
+            public: true,
+            httpStatusCode: 500
+          }
+        });
+    }
+  }
+  // in-memory storage is also used until "mongodb" storage is ready
+  PUSH_TOKEN_USE_STORAGE = memoryStorage.createPushTokenUseStorage({
+    max: caches.pushTokenUse.max
+  });
+  PUSH_TOKEN_REVOCATION_STORAGE =
+    memoryStorage.createPushTokenRevocationStorage({
+      max: caches.pushTokenRevocation.max
+    });
+}
+
+// gets the ID used to revoke a push token; it is a hash of the signed parts
+// of the push token so that the push token itself is not stored
+function _getPushTokenId({signedString}) {
+  return crypto.createHash('sha256').update(signedString).digest('base64url');
+}
@@ -0,0 +1,119 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as metrics from './metrics.js';
+import {LRUCache as LRU} from 'lru-cache';
+
+const {util: {BedrockError}} = bedrock;
+
+/* Note on quotas: Fresh polls (polling operations that are started because no
+usable poll result is cached, including those started via `useCache: false`)
+can be limited per caller by passing one or more quota keys to `poll()` (or
+`hub.subscribe()`), e.g., one for the client's IP address and one for its
+tenant. Each quota key has a rate limit, implemented as a token bucket that
+holds up to `rate.max` tokens and is refilled at `rate.max` tokens per
+`rate.interval`, and a limit on the number of concurrent fresh polls. The
+limits for a quota key are taken from the configured limits for its prefix
+(the part of the key before the first ":"), if any, and otherwise from the
+default limits. Quotas are tracked per-process. */
+let QUOTAS;
+
+bedrock.events.on('bedrock.init', () => {
+  _createQuotas();
+});
+
+/**
+ * Acquires a fresh poll from the quota of each of the given quota keys. If
+ * any quota would be exceeded, none are acquired and a `QuotaExceededError`
+ * is thrown.
+ *
+ * @param {object} options - Options to use.
+ * @param {Array<string>} options.quotaKeys - The quota keys.
+ *
+ * @returns {Function} A function to call once the fresh poll has completed
+ *   to release it from the concurrency limit of each quota.
+ */
+export function acquire({quotaKeys} = {}) {
+  const now = Date.now();
+  const quotas = quotaKeys.map(quotaKey => _getQuota({quotaKey, now}));
+
+  // ensure every quota is available before consuming any of them
+  for(const quota of quotas) {
+    const {rate, concurrency} = quota.limits;
+    if(rate.max > 0 && quota.tokens < 1) {
+      throw _createQuotaError({
+        retryAfter: (1 - quota.tokens) * rate.interval / rate.max
+      });
+    }
+    if(concurrency > 0 && quota.active >= concurrency) {
+      // time until a concurrent fresh poll completes is unknown
+      throw _createQuotaError({retryAfter: 1000});
+    }
+  }
+
+  for(const quota of quotas) {
+    if(quota.limits.rate.max > 0) {
+      quota.tokens--;
+    }
+    quota.active++;
+  }
+  let released = false;
+  return () => {
+    if(!released) {
+      released = true;
+      quotas.forEach(quota => quota.active--);
+    }
+  };
+}
+
+// exposed for testing purposes only
+export function _resetQuotas() {
+  _createQuotas();
+}
+
+function _createQuotas() {
+  const {max} = bedrock.config.notify.quotas;
+  QUOTAS = new LRU({max});
+}
+
+function _createQuotaError({retryAfter}) {
+  metrics.increment({name: 'pollsRejected', label: 'quota'});
+  return new BedrockError('Fresh poll quota exceeded; try again later.', {
+    name: 'QuotaExceededError',
+    details: {
+      retryAfter: Math.ceil(retryAfter / 1000),
+      public: true,
+      httpStatusCode: 429
+    }
+  });
+}
+
+function _getLimits({quotaKey}) {
+  const cfg = bedrock.config.notify.quotas;
+  const prefix = quotaKey.includes(':') ?
+    quotaKey.slice(0, quotaKey.indexOf(':')) : undefined;
+  const limits = cfg.prefixes[prefix] ?? {};
+  return {
+    rate: {...cfg.default.rate, ...limits.rate},
+    concurrency: limits.concurrency ?? cfg.default.concurrency
+  };
+}
+
+function _getQuota({quotaKey, now}) {
+  const limits = _getLimits({quotaKey});
+  const {rate} = limits;
+  let quota = QUOTAS.get(quotaKey);
+  if(!quota) {
+    quota = {tokens: rate.max, updated: now, active: 0};
+    QUOTAS.set(quotaKey, quota);
+  }
+  // refill tokens for the time since the quota was last used
+  if(rate.max > 0) {
+    const refill = (now - quota.updated) * rate.max / rate.interval;
+    quota.tokens = Math.min(rate.max, quota.tokens + refill);
+  }
+  quota.updated = now;
+  quota.limits = limits;
+  return quota;
+}
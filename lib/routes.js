@@ -0,0 +1,335 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as push from './push.js';
+import {DEFAULT_NAMESPACE, MAX_TTL} from './constants.js';
+import assert from 'assert-plus';
+import {asyncHandler} from '@bedrock/express';
+import cors from 'cors';
+import {logger} from './logger.js';
+import {poll} from './poll.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// default schema for the body of a poll request
+const POLL_BODY_SCHEMA = {
+  title: 'Poll Request',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    afterSequence: {type: 'integer', minimum: 0},
+    fromSequence: {type: 'integer', minimum: 0}
+  }
+};
+
+// default schema for the body of a push event
+const PUSH_EVENT_BODY_SCHEMA = {
+  title: 'Push Event',
+  type: 'object',
+  required: ['event'],
+  properties: {
+    event: {
+      type: 'object',
+      required: ['data'],
+      properties: {
+        data: {type: 'object'}
+      }
+    }
+  }
+};
+
+/**
+ * Creates a route for polling a watched resource, e.g., a
+ * `POST /poll/exchanges/:exchangeId` route for polling VC API exchanges.
+ *
+ * The route accepts an optional JSON body with `afterSequence` (for
+ * long-polling) and `fromSequence` (for delta delivery) properties; see
+ * `poll()`. The response body is the poll result. The `digest` of the poll
+ * result is used as its `ETag`; if the request's `If-None-Match` header
+ * matches it, a 304 response is sent instead. The `Cache-Control` header
+ * allows clients to cache the poll result until it expires from the poll
+ * result cache; note that a client may use a cached result until then even
+ * if it is changed via `invalidate()`.
+ *
+ * Errors are sent as JSON in the same format that `@bedrock/express` uses;
+ * if an error includes `retryAfter` in its details (e.g., when a quota has
+ * been exceeded), a `Retry-After` header is also set.
+ *
+ * Note: `@bedrock/validation` must be installed by the application; it is
+ * loaded when this function is called.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.app - The express app to add the route to.
+ * @param {string} options.path - The path for the route, e.g.,
+ *   `/poll/exchanges/:exchangeId`.
+ * @param {Function} options.poller - The polling function to use.
+ * @param {Function} options.getId - A function that is passed `{req}` and
+ *   returns (or resolves to) the ID of the watched resource to poll.
+ * @param {Function} [options.authorize] - A function that is passed
+ *   `{req, id}` and returns (or resolves to) `true` if the request is
+ *   authorized to poll the watched resource; if not given, every request is
+ *   authorized, so the IDs of watched resources must not be guessable.
+ * @param {Function} [options.getQuotaKey] - A function that is passed
+ *   `{req, id}` and returns the quota key(s) for the request, e.g., one based
+ *   on the client IP address; see `poll()`.
+ * @param {string} [options.namespace] - The namespace for poll results.
+ * @param {number} [options.ttl] - The TTL, in milliseconds, for poll results.
+ * @param {object} [options.bodySchema] - A JSON schema to validate request
+ *   bodies with; defaults to one that allows `afterSequence` and
+ *   `fromSequence` properties.
+ *
+ * @returns {Promise} Resolves once the route has been added.
+ */
+export async function createPollRoute({
+  app, path, poller, getId, authorize, getQuotaKey, namespace, ttl,
+  bodySchema = POLL_BODY_SCHEMA
+} = {}) {
+  assert.object(app, 'options.app');
+  assert.string(path, 'options.path');
+  assert.func(poller, 'options.poller');
+  assert.func(getId, 'options.getId');
+  assert.optionalFunc(authorize, 'options.authorize');
+  assert.optionalFunc(getQuotaKey, 'options.getQuotaKey');
+  assert.optionalString(namespace, 'options.namespace');
+  assert.optionalNumber(ttl, 'options.ttl');
+  assert.object(bodySchema, 'options.bodySchema');
+
+  const validate = await _loadValidate();
+  app.options(path, cors());
+  app.post(
+    path,
+    cors(),
+    validate({bodySchema}),
+    asyncHandler(async (req, res) => {
+      // stop waiting for the poll result if the client goes away
+      const controller = new AbortController();
+      res.on('close', () => controller.abort());
+      try {
+        const id = await getId({req});
+        if(typeof id !== 'string') {
+          throw new BedrockError('Watched resource not found.', {
+            name: 'NotFoundError',
+            details: {
+              public: true,
+              httpStatusCode: 404
+            }
+          });
+        }
+        if(authorize && !await authorize({req, id})) {
+          throw new BedrockError('Permission denied.', {
+            name: 'NotAllowedError',
+            details: {
+              public: true,
+              httpStatusCode: 403
+            }
+          });
+        }
+
+        const {afterSequence, fromSequence} = req.body ?? {};
+        const result = await poll({
+          id, poller, namespace, ttl, afterSequence, fromSequence,
+          quotaKey: getQuotaKey?.({req, id}),
+          signal: controller.signal
+        });
+
+        const etag = `"${result.digest}"`;
+        res.set('etag', etag);
+        res.set('cache-control', _getCacheControl({result, namespace, ttl}));
+        if(_matchesEtag({header: req.get('if-none-match'), etag})) {
+          res.status(304).end();
+          return;
+        }
+        res.json(result);
+      } catch(e) {
+        _sendError({res, error: e});
+      }
+    }));
+}
+
+/**
+ * Creates a route for a push-token-based callback URL, e.g., a
+ * `POST /callbacks/:pushToken` route that a VC API exchange server calls when
+ * an exchange is updated; see `push.createCallbackUrl()`. The `path` must have
+ * a `:pushToken` path parameter.
+ *
+ * The route validates the request body, verifies the push token (see
+ * `push.createVerifyPushTokenMiddleware()`), starts a fresh poll of the
+ * watched resource identified by the push event without waiting for it to
+ * complete, and sends a 204 response. Polling errors are logged.
+ *
+ * Callbacks for the same watched resource are debounced: the first callback
+ * triggers a poll immediately and any further callbacks within the debounce
+ * interval trigger a single poll at its end, so that the change that caused
+ * them is not missed.
+ *
+ * Note: `@bedrock/validation` must be installed by the application; it is
+ * loaded when this function is called.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.app - The express app to add the route to.
+ * @param {string} [options.path] - The path for the route; defaults to the
+ *   configured callback path template (`config.notify.push.callbackPath`),
+ *   which `push.createCallbackUrl()` also uses by default.
+ * @param {string} options.event - The event the push tokens are for, e.g.,
+ *   `exchangeUpdated`.
+ * @param {Function} options.poller - The polling function to use.
+ * @param {Function} [options.getResourceId] - A function that is passed
+ *   `{req}` and returns (or resolves to) the ID of the watched resource to
+ *   poll; defaults to returning `req.body.event.data.exchangeId`.
+ * @param {Function} [options.getExpectedClaims] - A function that is passed
+ *   `{req}` and returns (or resolves to) the claims to expect in the push
+ *   token; see `push.verifyPushToken()`.
+ * @param {string} [options.namespace] - The namespace for poll results.
+ * @param {number} [options.ttl] - The TTL, in milliseconds, for poll results.
+ * @param {object} [options.bodySchema] - A JSON schema to validate request
+ *   bodies with; defaults to one that requires an `event` with `data`.
+ * @param {number} [options.debounce] - The debounce interval, in
+ *   milliseconds; defaults to the configured interval.
+ *
+ * @returns {Promise} Resolves once the route has been added.
+ */
+export async function createPushCallbackRoute({
+  app, path, event, poller, getResourceId = _getExchangeId, getExpectedClaims,
+  namespace, ttl, bodySchema = PUSH_EVENT_BODY_SCHEMA, debounce
+} = {}) {
+  assert.object(app, 'options.app');
+  assert.optionalString(path, 'options.path');
+  assert.string(event, 'options.event');
+  assert.func(poller, 'options.poller');
+  assert.func(getResourceId, 'options.getResourceId');
+  assert.optionalFunc(getExpectedClaims, 'options.getExpectedClaims');
+  assert.optionalString(namespace, 'options.namespace');
+  assert.optionalNumber(ttl, 'options.ttl');
+  assert.object(bodySchema, 'options.bodySchema');
+  assert.optionalNumber(debounce, 'options.debounce');
+
+  path = path ?? bedrock.config.notify.push.callbackPath;
+  const validate = await _loadValidate();
+  const debouncer = _createDebouncer({
+    interval: debounce ?? bedrock.config.notify.pushCallbacks.debounce
+  });
+
+  app.post(
+    path,
+    // validate the body before verifying the push token so that invalid
+    // requests do not use up push tokens that have limited uses
+    validate({bodySchema}),
+    push.createVerifyPushTokenMiddleware({event, getExpectedClaims}),
+    asyncHandler(async (req, res) => {
+      try {
+        const id = await getResourceId({req});
+        if(typeof id !== 'string') {
+          throw new BedrockError('Push event watched resource ID not found.', {
+            name: 'DataError',
+            details: {
+              public: true,
+              httpStatusCode: 400
+            }
+          });
+        }
+        debouncer.run({
+          key: `${namespace ?? DEFAULT_NAMESPACE}:${id}`,
+          fn: () => poll({id, poller, namespace, ttl, useCache: false}).catch(
+            error => logger.error(error.message, {error}))
+        });
+        res.sendStatus(204);
+      } catch(e) {
+        _sendError({res, error: e});
+      }
+    }));
+}
+
+function _createDebouncer({interval}) {
+  // debounce windows by key; a call within a window is deferred to its end,
+  // where it opens a new window
+  const windows = new Map();
+
+  function _open({key}) {
+    const window = {fn: undefined};
+    windows.set(key, window);
+    setTimeout(() => {
+      windows.delete(key);
+      if(window.fn) {
+        window.fn();
+        _open({key});
+      }
+    }, interval).unref();
+  }
+
+  return {
+    run({key, fn}) {
+      if(interval <= 0) {
+        fn();
+        return;
+      }
+      const window = windows.get(key);
+      if(window) {
+        window.fn = fn;
+        return;
+      }
+      fn();
+      _open({key});
+    }
+  };
+}
+
+function _getCacheControl({result, namespace, ttl}) {
+  // note: immutable results are not marked `immutable` because
+  // `invalidate()` can cause them to change again
+  if(!result.mutable) {
+    ttl = MAX_TTL;
+  } else {
+    const {caches} = bedrock.config.notify;
+    ttl = ttl ??
+      caches.namespaces[namespace ?? DEFAULT_NAMESPACE]?.pollResult?.ttl ??
+      caches.pollResult.ttl;
+  }
+  // only allow caching until the result expires from the poll result cache
+  const age = result.polled === undefined ? 0 : Date.now() - result.polled;
+  const maxAge = Math.max(Math.floor((ttl - age) / 1000), 0);
+  return `private, max-age=${maxAge}`;
+}
+
+function _getExchangeId({req}) {
+  return req.body?.event?.data?.exchangeId;
+}
+
+async function _loadValidate() {
+  // `@bedrock/validation` is an optional peer dependency that is only needed
+  // by these routes
+  const {createValidateMiddleware} = await import('@bedrock/validation');
+  return createValidateMiddleware;
+}
+
+function _matchesEtag({header, etag}) {
+  if(!header) {
+    return false;
+  }
+  return header.split(',').some(tag => {
+    tag = tag.trim();
+    // weak comparison per RFC 9110
+    return tag === '*' || tag.replace(/^W\//, '') === etag;
+  });
+}
+
+function _sendError({res, error}) {
+  if(!(error instanceof BedrockError)) {
+    error = new BedrockError('An unexpected error occurred.', {
+      name: 'OperationError',
+      cause: error
+    });
+  }
+  const {httpStatusCode = 500, retryAfter} = error.details ?? {};
+  if(httpStatusCode >= 500) {
+    logger.error(error.message, {error});
+  }
+  if(res.headersSent) {
+    res.end();
+    return;
+  }
+  if(retryAfter !== undefined) {
+    res.set('retry-after', String(retryAfter));
+  }
+  res.status(httpStatusCode).json(error.toObject({public: true}));
+}
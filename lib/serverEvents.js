@@ -1,70 +1,150 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
-// server events helper will poll until result is immutable or signal tripped
+import * as bedrock from '@bedrock/core';
+import * as hub from './hub.js';
+import assert from 'assert-plus';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// server events helper will stream poll results until a result is immutable,
+// the client disconnects, or a signal is tripped
 /* Example usage:
 
 ```
-import {pollers, serverEvents} from '@bedrock-notify';
-
-const ONE_SECOND = 1000;
+import {pollers, serverEvents} from '@bedrock/notify';
 
-const abortController = new AbortController();
-const exchangePoller.createExchangePoller({
+const exchangePoller = pollers.createExchangePoller({
   capability,
   filterExchange({exchange, previousPollResult}) { ... }
 });
 
 // example server events route handler
-asyncHandler(async (req, res) => {
+app.get('/events/exchanges/:exchangeId', asyncHandler(async (req, res) => {
+  // ensure `exchangeId` is for an appropriate host/workflow, etc.
   const {exchangeId} = req.params;
-  await serverEvents.poll({
-    req, res,
-    pollId: exchangeId, poller: exchangePoller, pollInterval: ONE_SECOND,
-    signal: abortController.signal
-  });
-});
+  await serverEvents.poll({req, res, id: exchangeId, poller: exchangePoller});
+}));
 ```
 */
+
+/**
+ * Streams poll results for a watched resource to a client as Server-Sent
+ * Events (SSE). Each event's `data` is the JSON of a poll result (see
+ * `poll()`) and its `id` is the result's `sequence`; an event is only sent
+ * when a result with a new `sequence` is available. If the client reconnects
+ * with a `Last-Event-ID` header, events resume after that sequence.
+ *
+ * Results are obtained via the hub (see `hub.js`), so every stream for the
+ * same watched resource shares a single polling loop, results are shared with
+ * other callers of `poll()`, and new results, e.g., ones triggered by push
+ * callbacks, are sent as soon as they are available.
+ *
+ * The stream ends once an immutable result has been sent, the client
+ * disconnects, or `signal` is aborted. If polling fails, an `error` event
+ * with the JSON of the (public) error is sent before ending the stream. If
+ * the process is stopping, a `reconnect` event is sent before ending the
+ * stream.
+ * Heartbeat comments are sent periodically to keep the connection open.
+ *
+ * If `quotaKey` is given and starting the stream would exceed a quota (see
+ * `hub.subscribe()`), a `QuotaExceededError` is thrown before any response
+ * headers are sent.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.req - The express request.
+ * @param {object} options.res - The express response.
+ * @param {string} options.id - The ID of the watched resource.
+ * @param {Function} options.poller - The polling function to use.
+ * @param {string} [options.namespace] - The namespace for poll results.
+ * @param {number} [options.ttl] - The TTL, in milliseconds, for poll results.
+ * @param {string|Array<string>} [options.quotaKey] - The quota key(s) for the
+ *   client; see `hub.subscribe()`.
+ * @param {number} [options.heartbeatInterval] - The interval, in
+ *   milliseconds, at which to send heartbeat comments; defaults to the
+ *   configured interval.
+ * @param {number} [options.retry] - The reconnection time, in milliseconds,
+ *   to send to the client; defaults to the configured time.
+ * @param {AbortSignal} [options.signal] - An abort signal to end the stream.
+ *
+ * @returns {Promise} Settles once the stream has ended.
+ */
 export async function poll({
-  req, res, id, poller, pollInterval, signal
+  req, res, id, poller, namespace, ttl, quotaKey,
+  heartbeatInterval, retry, signal
 } = {}) {
-  res.setHeader('content-type', 'text/event-stream');
-  res.setHeader('cache-control', 'no-cache');
-  res.setHeader('connection', 'keep-alive');
-  res.flushHeaders();
-  req.on('close', () => res.end());
+  assert.object(req, 'options.req');
+  assert.object(res, 'options.res');
+  assert.string(id, 'options.id');
+  assert.func(poller, 'options.poller');
+  assert.optionalNumber(heartbeatInterval, 'options.heartbeatInterval');
+  assert.optionalNumber(retry, 'options.retry');
+  assert.optionalObject(signal, 'options.signal');
+
+  const cfg = bedrock.config.notify.serverEvents;
+  heartbeatInterval = heartbeatInterval ?? cfg.heartbeatInterval;
+  retry = retry ?? cfg.retry;
 
-  let sequence = -1;
-  while(true) {
-    let data;
-    try {
-      const result = await poller({id, poller});
-      if(result.sequence > sequence) {
-        sequence = result.sequence;
-        data = {result: result.value, hasMore: !!result.mutable};
+  // resume after the last sequence the client received, if any
+  const lastEventId = req.get('last-event-id');
+  const afterSequence = /^\d+$/.test(lastEventId ?? '') ?
+    parseInt(lastEventId, 10) : undefined;
+
+  // subscribe before sending any headers so that an error, e.g., a
+  // `QuotaExceededError`, can still be sent as an error response instead
+  const {unsubscribe} = hub.subscribe({
+    id, poller, namespace, ttl, quotaKey, afterSequence,
+    onResult(result) {
+      res.write(`id: ${result.sequence}\ndata: ${JSON.stringify(result)}\n\n`);
+      if(!result.mutable) {
+        done();
+      }
+    },
+    onError(e) {
+      const error = e instanceof BedrockError ? e :
+        new BedrockError('An unexpected error occurred.', {
+          name: 'OperationError',
+          cause: e
+        });
+      if(!(error.details?.httpStatusCode < 500)) {
+        logger.error(error.message, {error});
       }
-    } catch(error) {
-      data = {error};
+      const data = JSON.stringify(error.toObject({public: true}));
+      res.write(`event: error\ndata: ${data}\n\n`);
+      done();
+    },
+    onStop() {
+      res.write('event: reconnect\ndata: {}\n\n');
+      done();
     }
+  });
 
-    // only write `data` if it was generated
-    if(data) {
-      res.write(`data: ${JSON.stringify(data)}\n\n`);
-    }
+  res.setHeader('content-type', 'text/event-stream');
+  res.setHeader('cache-control', 'no-cache');
+  res.setHeader('connection', 'keep-alive');
+  res.flushHeaders();
+  res.write(`retry: ${retry}\n\n`);
 
-    // close connection if there are no more updates
-    if(!data.hasMore) {
-      res.end();
-      break;
-    }
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'),
+    heartbeatInterval);
+  let resolve;
+  const ended = new Promise(r => resolve = r);
 
-    await new Promise(r => setTimeout(r, pollInterval));
-    if(res.writableEnded) {
-      break;
-    }
+  // stop once the client disconnects or `signal` is aborted
+  res.on('close', done);
+  signal?.addEventListener('abort', done, {once: true});
+  if(signal?.aborted) {
+    done();
+  }
+  await ended;
 
-    // if signal has been tripped, abort
-    signal?.throwIfAborted();
+  function done() {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.off('close', done);
+    signal?.removeEventListener('abort', done);
+    res.end();
+    resolve();
   }
 }
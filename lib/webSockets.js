@@ -0,0 +1,289 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as hub from './hub.js';
+import assert from 'assert-plus';
+import {logger} from './logger.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// maximum size of a message from a client
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+// WebSocket close code for a server that is restarting
+const SERVICE_RESTART = 1012;
+
+// open WebSocket connections
+const CONNECTIONS = new Set();
+
+bedrock.events.on('bedrock-notify.stop', () => {
+  // tell clients to reconnect, e.g., to another process
+  for(const ws of CONNECTIONS) {
+    ws.close(SERVICE_RESTART, 'Server is shutting down.');
+  }
+});
+
+/* Note on the WebSocket protocol: Clients send JSON messages to subscribe to
+and unsubscribe from watched resources over a single connection:
+
+`{"type": "subscribe", "id": "<watched resource ID>", "afterSequence": 1}`
+`{"type": "unsubscribe", "id": "<watched resource ID>"}`
+
+(`afterSequence` is optional; it is used to resume after the `sequence` of
+the last result a client received, e.g., after reconnecting.)
+
+The server sends a JSON message for each new poll result of a subscription
+and for errors; a subscription ends after an immutable result or an error:
+
+`{"type": "result", "id": "<ID>", "sequence": 2, "mutable": true,
+  "value": {...}, "digest": "<digest>"}`
+`{"type": "error", "id": "<ID, if any>", "error": {...}}`
+
+When the process is stopping, connections are closed with code 1012 (service
+restart) so that clients reconnect, e.g., to another process. */
+
+/**
+ * Creates a WebSocket endpoint for watching resources on the Bedrock HTTPS
+ * server. Results for each subscription are obtained via the hub (see
+ * `hub.js`), so they come from the same polling loop, poller, and poll result
+ * cache as every other subscriber and caller of `poll()`.
+ *
+ * This function must be called once the server has been configured, e.g., in
+ * a `bedrock-express.configure.routes` event handler. Unless `server` is
+ * given, `@bedrock/server` must be installed by the application; it is loaded
+ * when this function is called.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.path - The path for the endpoint, e.g., `/watch`.
+ * @param {Function} options.poller - The polling function to use.
+ * @param {Function} [options.authorize] - A function that is passed
+ *   `{req, id}`, where `req` is the HTTP upgrade request, and returns (or
+ *   resolves to) `true` if the client is authorized to subscribe to the
+ *   watched resource identified by `id`; if not given, every subscription is
+ *   authorized, so the IDs of watched resources must not be guessable.
+ * @param {Array<string>} [options.allowedOrigins] - The origins, e.g.,
+ *   `https://app.example`, that browsers may connect from; upgrade requests
+ *   with any other `Origin` header are rejected with a 403 response so that
+ *   other sites cannot make connections using a user's cookies (cross-site
+ *   WebSocket hijacking). Requests without an `Origin` header, i.e., from
+ *   non-browser clients, are allowed. Defaults to the origin of
+ *   `config.server.baseUri`.
+ * @param {Function} [options.getQuotaKey] - A function that is passed
+ *   `{req, id}`, where `req` is the HTTP upgrade request, and returns the
+ *   quota key(s) for a subscription, e.g., one based on the client IP
+ *   address; see `hub.subscribe()`.
+ * @param {string} [options.namespace] - The namespace for poll results.
+ * @param {number} [options.ttl] - The TTL, in milliseconds, for poll results.
+ * @param {object} [options.server] - The HTTP(S) server to add the endpoint
+ *   to; defaults to the Bedrock HTTPS server.
+ *
+ * @returns {Promise} Resolves once the endpoint has been added.
+ */
+export async function createWebSocketRoute({
+  path, poller, authorize, allowedOrigins = _getDefaultOrigins(), getQuotaKey,
+  namespace, ttl, server
+} = {}) {
+  assert.string(path, 'options.path');
+  assert.func(poller, 'options.poller');
+  assert.optionalFunc(authorize, 'options.authorize');
+  assert.arrayOfString(allowedOrigins, 'options.allowedOrigins');
+  assert.optionalFunc(getQuotaKey, 'options.getQuotaKey');
+  assert.optionalString(namespace, 'options.namespace');
+  assert.optionalNumber(ttl, 'options.ttl');
+  assert.optionalObject(server, 'options.server');
+
+  // `@bedrock/server` is an optional peer dependency and `ws` is only needed
+  // by WebSocket endpoints
+  if(!server) {
+    ({servers: {https: server}} = await import('@bedrock/server'));
+  }
+  const {WebSocketServer} = await import('ws');
+  const wss = new WebSocketServer({
+    noServer: true, maxPayload: MAX_MESSAGE_SIZE
+  });
+  server.on('upgrade', (req, socket, head) => {
+    // leave upgrade requests for other paths to other handlers
+    const {pathname} = new URL(req.url, 'https://localhost');
+    if(pathname !== path) {
+      return;
+    }
+    const {origin} = req.headers;
+    if(origin !== undefined && !allowedOrigins.includes(origin)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, ws => _handleConnection({
+      ws, req, poller, authorize, getQuotaKey, namespace, ttl
+    }));
+  });
+}
+
+function _getDefaultOrigins() {
+  const baseUri = bedrock.config.server?.baseUri;
+  return baseUri ? [new URL(baseUri).origin] : [];
+}
+
+function _handleConnection({
+  ws, req, poller, authorize, getQuotaKey, namespace, ttl
+}) {
+  const {heartbeatInterval, maxSubscriptions} = bedrock.config.notify
+    .webSockets;
+
+  // unsubscribe functions by watched resource ID
+  const subscriptions = new Map();
+  CONNECTIONS.add(ws);
+
+  // close the connection on errors, e.g., a message that exceeds
+  // `MAX_MESSAGE_SIZE` or an invalid frame; an unhandled error would crash
+  // the process
+  ws.on('error', error => {
+    logger.info('Closing WebSocket connection after an error.', {error});
+    ws.terminate();
+  });
+
+  // close the connection if the client stops responding to pings
+  let alive = true;
+  ws.on('pong', () => alive = true);
+  const heartbeat = setInterval(() => {
+    if(!alive) {
+      ws.terminate();
+      return;
+    }
+    alive = false;
+    ws.ping();
+  }, heartbeatInterval);
+
+  ws.on('message', async data => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch(e) {
+      message = undefined;
+    }
+    const id = typeof message?.id === 'string' ? message.id : undefined;
+    try {
+      if(!_isValidMessage(message)) {
+        throw new BedrockError('Invalid message.', {
+          name: 'SyntaxError',
+          details: {
+            public: true,
+            httpStatusCode: 400
+          }
+        });
+      }
+      if(message.type === 'unsubscribe') {
+        subscriptions.get(id)?.();
+        subscriptions.delete(id);
+        return;
+      }
+      if(!subscriptions.has(id)) {
+        await _subscribe({afterSequence: message.afterSequence});
+      }
+    } catch(error) {
+      _sendError({ws, id, error});
+    }
+
+    async function _subscribe({afterSequence}) {
+      if(subscriptions.size >= maxSubscriptions) {
+        throw new BedrockError('Too many subscriptions.', {
+          name: 'QuotaExceededError',
+          details: {
+            public: true,
+            httpStatusCode: 429
+          }
+        });
+      }
+
+      // reserve the subscription while authorizing it
+      const pending = () => {};
+      subscriptions.set(id, pending);
+      try {
+        if(authorize && !await authorize({req, id})) {
+          throw new BedrockError('Permission denied.', {
+            name: 'NotAllowedError',
+            details: {
+              public: true,
+              httpStatusCode: 403
+            }
+          });
+        }
+      } catch(e) {
+        if(subscriptions.get(id) === pending) {
+          subscriptions.delete(id);
+        }
+        throw e;
+      }
+      // the client may have unsubscribed or disconnected in the meantime
+      if(subscriptions.get(id) !== pending) {
+        return;
+      }
+
+      let unsubscribe;
+      try {
+        ({unsubscribe} = hub.subscribe({
+          id, poller, namespace, ttl, afterSequence,
+          quotaKey: getQuotaKey?.({req, id}),
+          onResult(result) {
+            _send({ws, message: {type: 'result', ...result}});
+            if(!result.mutable) {
+              _end();
+            }
+          },
+          onError(error) {
+            _sendError({ws, id, error});
+            _end();
+          }
+        }));
+      } catch(e) {
+        subscriptions.delete(id);
+        throw e;
+      }
+      subscriptions.set(id, unsubscribe);
+
+      function _end() {
+        unsubscribe();
+        if(subscriptions.get(id) === unsubscribe) {
+          subscriptions.delete(id);
+        }
+      }
+    }
+  });
+
+  ws.on('close', () => {
+    CONNECTIONS.delete(ws);
+    clearInterval(heartbeat);
+    for(const unsubscribe of subscriptions.values()) {
+      unsubscribe();
+    }
+    subscriptions.clear();
+  });
+}
+
+function _send({ws, message}) {
+  if(ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+}
+
+function _sendError({ws, id, error}) {
+  if(!(error instanceof BedrockError)) {
+    error = new BedrockError('An unexpected error occurred.', {
+      name: 'OperationError',
+      cause: error
+    });
+  }
+  if(!(error.details?.httpStatusCode < 500)) {
+    logger.error(error.message, {error});
+  }
+  _send({
+    ws, message: {type: 'error', id, error: error.toObject({public: true})}
+  });
+}
+
+function _isValidMessage(message) {
+  const {type, id, afterSequence} = message ?? {};
+  return ['subscribe', 'unsubscribe'].includes(type) &&
+    typeof id === 'string' &&
+    (afterSequence === undefined || Number.isInteger(afterSequence));
+}
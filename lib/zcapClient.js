@@ -1,12 +1,17 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import {getAppIdentity} from '@bedrock/app-identity';
+import {httpClient} from '@digitalbazaar/http-client';
 import {httpsAgent} from '@bedrock/https-agent';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
 import {ZcapClient} from '@digitalbazaar/ezcap';
 
+const ZCAP_ROOT_PREFIX = 'urn:zcap:root:';
+
 export let zcapClient;
 
 bedrock.events.on('bedrock.init', () => {
@@ -19,3 +24,58 @@ bedrock.events.on('bedrock.init', () => {
     SuiteClass: Ed25519Signature2020
   });
 });
+
+/**
+ * Reads from a URL by invoking a capability with the application's
+ * capability invocation key, like `zcapClient.read()`, except that the
+ * request is aborted if `signal` is aborted; `zcapClient` (an ezcap
+ * `ZcapClient`) does not support aborting requests.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.url - The URL to read from.
+ * @param {string|object} options.capability - The capability to invoke; its
+ *   invocation target must be `url` or a RESTful prefix of it.
+ * @param {AbortSignal} [options.signal] - An abort signal to abort the
+ *   request.
+ *
+ * @returns {Promise<object>} Resolves to the HTTP response.
+ */
+export async function read({url, capability, signal} = {}) {
+  let invocationTarget;
+  if(typeof capability === 'string') {
+    // a string capability must be a root zcap for an HTTPS URL
+    invocationTarget = capability.startsWith(ZCAP_ROOT_PREFIX) ?
+      decodeURIComponent(capability.slice(ZCAP_ROOT_PREFIX.length)) : '';
+    if(!invocationTarget.startsWith('https://')) {
+      throw new Error(
+        'When "capability" is a string, it must be a root authorization ' +
+        'capability with an HTTPS invocation target.');
+    }
+  } else {
+    invocationTarget = capability?.invocationTarget;
+  }
+  // as with `zcapClient`, do not invoke a capability against a URL outside of
+  // its invocation target to avoid confused deputy attacks
+  if(!(typeof invocationTarget === 'string' &&
+    (url === invocationTarget || url.startsWith(`${invocationTarget}/`) ||
+    url.startsWith(`${invocationTarget}?`)))) {
+    throw new TypeError(
+      'The capability\'s "invocationTarget" must be a RESTful prefix of ' +
+      '"url" or equal to "url".');
+  }
+
+  const {agent, defaultHeaders, invocationSigner} = zcapClient;
+  const signatureHeaders = await signCapabilityInvocation({
+    url,
+    method: 'get',
+    headers: {date: new Date().toUTCString()},
+    invocationSigner,
+    capability,
+    capabilityAction: 'read'
+  });
+  return httpClient.get(url, {
+    agent,
+    headers: {...defaultHeaders, ...signatureHeaders},
+    signal
+  });
+}
@@ -1,8 +1,11 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import {poll, pollers, zcapClient} from '@bedrock/notify';
+import {
+  invalidate, memoryStorage, poll, pollers, pollHelpers, setLeaseStorage,
+  setPollResultStorage, zcapClient
+} from '@bedrock/notify';
 import {httpClient} from '@digitalbazaar/http-client';
 import {httpsAgent} from '@bedrock/https-agent';
 
@@ -109,4 +112,571 @@ describe('poll', () => {
       result.value.exchange.result.should.deep.equal(expectedResult);
     }
   });
+
+  it('only increments sequence when the result changes', async () => {
+    const id = 'urn:test:sequence';
+    let state = 'pending';
+    // a new, but equivalent, value is returned on every call
+    const poller = async () => ({mutable: true, value: {state}});
+
+    const result1 = await poll({id, poller});
+    result1.digest.should.be.a('string');
+    const result2 = await poll({id, poller, useCache: false});
+    result2.sequence.should.equal(result1.sequence);
+    result2.digest.should.equal(result1.digest);
+
+    state = 'complete';
+    const result3 = await poll({id, poller, useCache: false});
+    result3.sequence.should.equal(result1.sequence + 1);
+    result3.digest.should.not.equal(result1.digest);
+  });
+
+  describe('abort and timeout', () => {
+    it('aborts a polling operation that times out', async () => {
+      const id = 'urn:test:timeout:1';
+      let abortReason;
+      // never completes unless aborted
+      const poller = ({signal}) => new Promise(() => {
+        signal.addEventListener('abort', () => abortReason = signal.reason);
+      });
+
+      let error;
+      try {
+        await poll({id, poller, timeout: 100});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TimeoutError');
+      should.exist(abortReason);
+      abortReason.name.should.equal('TimeoutError');
+    });
+
+    it('stops waiting when a signal is aborted', async () => {
+      const id = 'urn:test:timeout:2';
+      const poller = async () => {
+        await new Promise(r => setTimeout(r, 200));
+        return {mutable: true, value: {}};
+      };
+
+      const controller = new AbortController();
+      const promise = poll({id, poller, signal: controller.signal});
+      controller.abort();
+      let error;
+      try {
+        await promise;
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('AbortError');
+    });
+
+    it('does not poll for an aborted signal', async () => {
+      const id = 'urn:test:timeout:3';
+      let calls = 0;
+      const poller = async () => {
+        calls++;
+        return {mutable: true, value: {}};
+      };
+
+      const controller = new AbortController();
+      controller.abort();
+      let error;
+      try {
+        await poll({id, poller, signal: controller.signal});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('AbortError');
+      calls.should.equal(0);
+    });
+
+    it('aborts a hung exchange poller request', async () => {
+      const {baseUri} = bedrock.config.server;
+      const hungTarget = `${baseUri}/hung/exchanges`;
+      const poller = pollers.createExchangePoller({
+        capability: `urn:zcap:root:${encodeURIComponent(hungTarget)}`,
+        filterExchange: ({exchange}) => exchange
+      });
+
+      const controller = new AbortController();
+      const promise = poller({
+        id: `${hungTarget}/1`, signal: controller.signal
+      });
+      // wait for the request to reach the server
+      while(await _countHungRequests() === 0) {
+        await new Promise(r => setTimeout(r, 50));
+      }
+      controller.abort();
+      let error;
+      try {
+        await promise;
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('AbortError');
+      // the request's connection is closed
+      while(await _countHungRequests() !== 0) {
+        await new Promise(r => setTimeout(r, 50));
+      }
+
+      async function _countHungRequests() {
+        const {data} = await httpClient.get(`${baseUri}/hung/requests`, {
+          agent: httpsAgent
+        });
+        return data.count;
+      }
+    });
+  });
+
+  describe('failures', () => {
+    let circuitBreakerConfig;
+    beforeEach(() => {
+      circuitBreakerConfig = {...bedrock.config.notify.circuitBreaker};
+      bedrock.config.notify.circuitBreaker.failureThreshold = 2;
+      bedrock.config.notify.circuitBreaker.cooldown = 200;
+    });
+    afterEach(() => {
+      bedrock.config.notify.circuitBreaker = circuitBreakerConfig;
+    });
+
+    it('caches an error from a failed polling operation', async () => {
+      const id = 'urn:test:failure:1';
+      let calls = 0;
+      const poller = async () => {
+        calls++;
+        throw new Error('Server unavailable.');
+      };
+
+      const errors = [];
+      for(const useCache of [true, true, false]) {
+        try {
+          await poll({id, poller, useCache});
+        } catch(e) {
+          errors.push(e);
+        }
+      }
+      errors.length.should.equal(3);
+      errors[1].should.equal(errors[0]);
+      calls.should.equal(2);
+    });
+
+    it('fails fast once an origin keeps failing', async () => {
+      const origin = 'https://failing.example';
+      let fail = true;
+      let calls = 0;
+      const poller = async () => {
+        calls++;
+        if(fail) {
+          throw new Error('Server unavailable.');
+        }
+        return {mutable: true, value: {}};
+      };
+
+      for(const id of [`${origin}/1`, `${origin}/2`]) {
+        let error;
+        try {
+          await poll({id, poller, useCache: false});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.message.should.equal('Server unavailable.');
+      }
+
+      // circuit is open for every resource at the origin
+      let error;
+      try {
+        await poll({id: `${origin}/3`, poller, useCache: false});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NetworkError');
+      error.details.httpStatusCode.should.equal(503);
+      error.details.origin.should.equal(origin);
+      calls.should.equal(2);
+
+      // a probe is allowed after the cooldown
+      await new Promise(r => setTimeout(r, 250));
+      fail = false;
+      const result = await poll({id: `${origin}/3`, poller, useCache: false});
+      result.value.should.deep.equal({});
+      calls.should.equal(3);
+    });
+
+    it('does not open the circuit for 404 responses', async () => {
+      const origin = 'https://unknown-ids.example';
+      // simulate an exchange server that does not know the exchange IDs
+      const zcapClient = {
+        async read() {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+      };
+      const poller = pollers.createExchangePoller({
+        capability: `urn:zcap:root:${encodeURIComponent(origin)}`,
+        zcapClient,
+        filterExchange: ({exchange}) => exchange
+      });
+
+      for(let i = 0; i < 5; ++i) {
+        let error;
+        try {
+          await poll({id: `${origin}/${i}`, poller, useCache: false});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.name.should.equal('OperationError');
+        error.details.upstreamStatus.should.equal(404);
+      }
+    });
+  });
+
+  describe('quotas', () => {
+    let quotasConfig;
+    beforeEach(() => {
+      quotasConfig = bedrock.config.notify.quotas;
+      bedrock.config.notify.quotas = {
+        ...quotasConfig,
+        default: {rate: {max: 2, interval: 60000}, concurrency: 1}
+      };
+    });
+    afterEach(() => {
+      bedrock.config.notify.quotas = quotasConfig;
+    });
+
+    it('limits the rate of fresh polls per quota key', async () => {
+      const id = 'urn:test:quota:1';
+      const quotaKey = 'ip:192.0.2.1';
+      const poller = async () => ({mutable: true, value: {}});
+
+      await poll({id, poller, quotaKey, useCache: false});
+      await poll({id, poller, quotaKey, useCache: false});
+      // cached results do not count against quotas
+      await poll({id, poller, quotaKey});
+
+      let error;
+      try {
+        await poll({id, poller, quotaKey, useCache: false});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('QuotaExceededError');
+      error.details.httpStatusCode.should.equal(429);
+      error.details.retryAfter.should.be.a('number');
+
+      // other quota keys are not affected
+      await poll({id, poller, quotaKey: 'ip:192.0.2.2', useCache: false});
+    });
+
+    it('limits concurrent fresh polls per quota key', async () => {
+      const quotaKey = ['ip:192.0.2.3', 'tenant:1'];
+      const poller = async () => {
+        await new Promise(r => setTimeout(r, 100));
+        return {mutable: true, value: {}};
+      };
+
+      const results = await Promise.allSettled([
+        poll({id: 'urn:test:quota:2', poller, quotaKey}),
+        // joins the in-flight polling operation above
+        poll({id: 'urn:test:quota:2', poller, quotaKey}),
+        poll({id: 'urn:test:quota:3', poller, quotaKey})
+      ]);
+      results.map(({status}) => status).should.deep.equal(
+        ['fulfilled', 'fulfilled', 'rejected']);
+      results[2].reason.name.should.equal('QuotaExceededError');
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    it('returns a stale result and refreshes it', async () => {
+      const id = 'urn:test:swr:1';
+      let calls = 0;
+      const poller = async () => ({mutable: true, value: {calls: ++calls}});
+
+      const result1 = await poll({id, poller, ttl: 100});
+      await new Promise(r => setTimeout(r, 200));
+
+      const result2 = await poll({
+        id, poller, ttl: 100, staleWhileRevalidate: true
+      });
+      result2.stale.should.equal(true);
+      result2.sequence.should.equal(result1.sequence);
+      result2.value.should.deep.equal({calls: 1});
+
+      // background refresh should have completed
+      await new Promise(r => setTimeout(r, 50));
+      const result3 = await poll({id, poller, ttl: 100});
+      should.not.exist(result3.stale);
+      result3.sequence.should.equal(result1.sequence + 1);
+      result3.value.should.deep.equal({calls: 2});
+      calls.should.equal(2);
+    });
+  });
+
+  describe('namespaces', () => {
+    it('does not share results across namespaces', async () => {
+      const id = 'urn:test:namespace:1';
+      const poller1 = async () => ({mutable: true, value: {visible: 1}});
+      const poller2 = async () => ({
+        mutable: true, value: {visible: 2, hidden: 'secret'}
+      });
+
+      const result1 = await poll({id, poller: poller1, namespace: 'public'});
+      const result2 = await poll({id, poller: poller2, namespace: 'private'});
+      result1.value.should.deep.equal({visible: 1});
+      result2.value.should.deep.equal({visible: 2, hidden: 'secret'});
+
+      // cached results are only returned in the same namespace
+      const result3 = await poll({id, poller: poller2, namespace: 'public'});
+      result3.value.should.deep.equal({visible: 1});
+    });
+
+    it('rejects a namespace with ":"', async () => {
+      const poller = async () => ({mutable: true, value: {}});
+      let error;
+      try {
+        await poll({id: 'urn:test:namespace:2', poller, namespace: 'a:b'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+    });
+  });
+
+  describe('invalidation', () => {
+    it('refreshes an invalidated result', async () => {
+      const id = 'urn:test:invalidate:1';
+      let state = 'pending';
+      const poller = async () => ({mutable: true, value: {state}});
+
+      const result1 = await poll({id, poller});
+      state = 'complete';
+      const {count} = await invalidate({id});
+      count.should.equal(1);
+      const result2 = await poll({id, poller});
+      result2.sequence.should.equal(result1.sequence + 1);
+      result2.value.should.deep.equal({state: 'complete'});
+      should.not.exist(result2.invalidated);
+    });
+
+    it('marks an immutable result as mutable again', async () => {
+      const prefix = 'urn:test:invalidate:2:';
+      const id = `${prefix}1`;
+      let result = {mutable: false, value: {state: 'complete'}};
+      const poller = async () => result;
+
+      const result1 = await poll({id, poller});
+      result1.mutable.should.equal(false);
+
+      result = {mutable: true, value: {state: 'pending'}};
+      await invalidate({prefix, mutable: true});
+      const result2 = await poll({id, poller});
+      result2.sequence.should.equal(result1.sequence + 1);
+      result2.mutable.should.equal(true);
+      result2.value.should.deep.equal({state: 'pending'});
+    });
+
+    it('clears a cached error', async () => {
+      const id = 'urn:test:invalidate:3';
+      let fail = true;
+      const poller = async () => {
+        if(fail) {
+          throw new Error('Server unavailable.');
+        }
+        return {mutable: true, value: {}};
+      };
+
+      await poll({id, poller}).catch(() => {});
+      fail = false;
+      await invalidate({id});
+      const result = await poll({id, poller});
+      result.value.should.deep.equal({});
+    });
+
+    it('invalidates a stale result', async () => {
+      const id = 'urn:test:invalidate:4';
+      let calls = 0;
+      const poller = async () => ({mutable: true, value: {calls: ++calls}});
+
+      const result1 = await poll({id, poller, ttl: 100});
+      await new Promise(r => setTimeout(r, 200));
+      const {count} = await invalidate({id});
+      count.should.equal(1);
+
+      // the stale result is not returned once invalidated
+      const result2 = await poll({
+        id, poller, ttl: 100, staleWhileRevalidate: true
+      });
+      should.not.exist(result2.stale);
+      result2.sequence.should.equal(result1.sequence + 1);
+      result2.value.should.deep.equal({calls: 2});
+    });
+  });
+
+  describe('delta delivery', () => {
+    it('returns a JSON patch from a previous sequence', async () => {
+      const id = 'urn:test:delta:1';
+      let value = {state: 'pending', steps: ['a']};
+      const poller = async () => ({mutable: true, value: {...value}});
+
+      const result1 = await poll({id, poller});
+      value = {state: 'complete', steps: ['a', 'b']};
+      const result2 = await poll({
+        id, poller, useCache: false, fromSequence: result1.sequence
+      });
+      result2.sequence.should.equal(result1.sequence + 1);
+      result2.fromSequence.should.equal(result1.sequence);
+      should.not.exist(result2.value);
+      should.not.exist(result2.history);
+      result2.patch.should.deep.include.members([
+        {op: 'replace', path: '/state', value: 'complete'},
+        {op: 'add', path: '/steps/1', value: 'b'}
+      ]);
+    });
+
+    it('returns the full value for an unknown sequence', async () => {
+      const id = 'urn:test:delta:2';
+      const poller = async () => ({mutable: true, value: {state: 'pending'}});
+
+      const result = await poll({id, poller, fromSequence: 100});
+      should.not.exist(result.patch);
+      result.value.should.deep.equal({state: 'pending'});
+    });
+  });
+
+  describe('long-polling', () => {
+    it('waits for a result after a given sequence', async () => {
+      const id = 'urn:test:longPoll:1';
+      let state = 'pending';
+      const poller = async () => ({mutable: true, value: {state}});
+
+      const {sequence} = await poll({id, poller});
+
+      // simulate a push callback triggering a fresh poll
+      const start = Date.now();
+      setTimeout(() => {
+        state = 'complete';
+        poll({id, poller, useCache: false}).catch(() => {});
+      }, 100);
+      const result = await poll({
+        id, poller, afterSequence: sequence, timeout: 10000
+      });
+      (Date.now() - start).should.be.below(10000);
+      result.sequence.should.be.above(sequence);
+      result.value.should.deep.equal({state: 'complete'});
+    });
+
+    it('returns the latest result after a timeout', async () => {
+      const id = 'urn:test:longPoll:2';
+      const poller = async () => ({mutable: true, value: {state: 'pending'}});
+
+      const result = await poll({
+        id, poller, afterSequence: 100, timeout: 200
+      });
+      result.sequence.should.not.be.above(100);
+      result.value.should.deep.equal({state: 'pending'});
+    });
+
+    it('returns an immutable result immediately', async () => {
+      const id = 'urn:test:longPoll:3';
+      const poller = async () => ({mutable: false, value: {state: 'done'}});
+
+      const {sequence} = await poll({id, poller});
+      const start = Date.now();
+      const result = await poll({
+        id, poller, afterSequence: sequence, timeout: 10000
+      });
+      (Date.now() - start).should.be.below(10000);
+      result.sequence.should.equal(sequence);
+    });
+
+    it('polls once per interval for concurrent long-polls', async () => {
+      const id = 'urn:test:longPoll:4';
+      let calls = 0;
+      const poller = async () => {
+        calls++;
+        return {mutable: true, value: {state: 'pending'}};
+      };
+      const {sequence} = await poll({id, poller});
+
+      const {pollInterval} = bedrock.config.notify.longPoll;
+      bedrock.config.notify.longPoll.pollInterval = 100;
+      calls = 0;
+      try {
+        // start long-polls at different times so their intervals differ
+        const promises = [];
+        for(let i = 0; i < 5; ++i) {
+          promises.push(poll({
+            id, poller, afterSequence: sequence, timeout: 500
+          }));
+          await new Promise(r => setTimeout(r, 20));
+        }
+        await Promise.all(promises);
+      } finally {
+        bedrock.config.notify.longPoll.pollInterval = pollInterval;
+      }
+      calls.should.be.below(8);
+    });
+  });
+
+  describe('leases', () => {
+    let leaseStorage;
+    let resultStorage;
+    beforeEach(() => {
+      leaseStorage = memoryStorage.createLeaseStorage();
+      resultStorage = memoryStorage.createPollResultStorage({
+        max: 10, ttl: 30000
+      });
+      setLeaseStorage({storage: leaseStorage});
+      setPollResultStorage({storage: resultStorage});
+    });
+    afterEach(() => {
+      setLeaseStorage({storage: null});
+      // restore the default storage, including per-namespace caches
+      pollHelpers._resetPollResultCache();
+    });
+
+    it('uses the result stored by a lease holder', async () => {
+      const id = 'urn:test:leased';
+      let calls = 0;
+      const poller = async () => ({mutable: true, value: {calls: ++calls}});
+
+      // simulate another process holding the lease; note that leases and
+      // poll results are stored using namespaced keys
+      const key = `default:${id}`;
+      const owner = 'urn:test:otherProcess';
+      await leaseStorage.acquire({id: key, owner, ttl: 30000});
+      const promise = poll({id, poller, useCache: false});
+
+      // simulate the other process storing its result and releasing the lease
+      const result = {id, sequence: 1, mutable: true, value: {calls: 0}};
+      await resultStorage.set({id: key, result});
+      await leaseStorage.release({id: key, owner});
+
+      const polled = await promise;
+      polled.should.deep.equal(result);
+      calls.should.equal(0);
+    });
+
+    it('polls when the lease is available', async () => {
+      const id = 'urn:test:unleased';
+      let calls = 0;
+      const poller = async () => ({mutable: true, value: {calls: ++calls}});
+
+      const result = await poll({id, poller});
+      result.value.should.deep.equal({calls: 1});
+      calls.should.equal(1);
+      const leased = await leaseStorage.has({id: `default:${id}`});
+      leased.should.equal(false);
+    });
+  });
 });
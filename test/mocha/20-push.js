@@ -1,8 +1,11 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import {poll, pollers, push, zcapClient} from '@bedrock/notify';
+import {
+  memoryStorage, poll, pollers, push, zcapClient
+} from '@bedrock/notify';
+import crypto from 'node:crypto';
 import {httpClient} from '@digitalbazaar/http-client';
 import {httpsAgent} from '@bedrock/https-agent';
 
@@ -103,4 +106,439 @@ describe('push', () => {
       result.value.exchange.result.should.deep.equal(expectedResult);
     }
   });
+
+  describe('claims', () => {
+    const event = 'exchangeUpdated';
+
+    it('verifies a push token with expected claims', async () => {
+      const claims = {resourceId: 'urn:test:resource:1', tenantId: 't1'};
+      const {token} = await push.createPushToken({event, claims});
+      const result = await push.verifyPushToken({
+        pushToken: token, expectedEvent: event,
+        expectedClaims: {resourceId: 'urn:test:resource:1'}
+      });
+      result.claims.should.deep.equal(claims);
+    });
+
+    it('rejects a push token with mismatched claims', async () => {
+      const {token} = await push.createPushToken({
+        event, claims: {resourceId: 'urn:test:resource:1'}
+      });
+      let error;
+      try {
+        await push.verifyPushToken({
+          pushToken: token, expectedEvent: event,
+          expectedClaims: {resourceId: 'urn:test:resource:2'}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.cause.message.should.include('"expectedClaims"');
+    });
+
+    it('rejects a push token without expected claims', async () => {
+      const {token} = await push.createPushToken({event});
+      let error;
+      try {
+        await push.verifyPushToken({
+          pushToken: token, expectedEvent: event,
+          expectedClaims: {resourceId: 'urn:test:resource:1'}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.cause.message.should.include('"expectedClaims"');
+    });
+
+    it('rejects a push token with altered claims', async () => {
+      const {token} = await push.createPushToken({
+        event, claims: {resourceId: 'urn:test:resource:1'}
+      });
+      const [keyId, payload, signature] = token.split('.');
+      const [, expires, issued] = JSON.parse(
+        Buffer.from(payload.slice(1), 'base64url'));
+      const altered = Buffer.from(JSON.stringify(
+        [event, expires, issued, null, {resourceId: 'urn:test:resource:2'}]))
+        .toString('base64url');
+      let error;
+      try {
+        await push.verifyPushToken({
+          pushToken: `${keyId}.u${altered}.${signature}`,
+          expectedEvent: event,
+          expectedClaims: {resourceId: 'urn:test:resource:2'}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.cause.message.should.include('signature');
+    });
+  });
+
+  describe('HMAC key rotation', () => {
+    const event = 'exchangeUpdated';
+    const newKey = {
+      id: 'urn:test:hmacKey:2',
+      secretKeyMultibase: 'uogH5kdyUZHGKyBPoEblKwPQXYgZsrym0IbfA29PDuQ6EnQ'
+    };
+    let pushConfig;
+    beforeEach(() => {
+      pushConfig = structuredClone(bedrock.config.notify.push);
+    });
+    afterEach(() => {
+      bedrock.config.notify.push = pushConfig;
+      push._loadKeys();
+    });
+
+    it('verifies push tokens signed by a previous key', async () => {
+      const {token} = await push.createPushToken({event});
+      const {hmacKey} = bedrock.config.notify.push;
+      bedrock.config.notify.push.hmacKey = null;
+      bedrock.config.notify.push.hmacKeys = [newKey, {
+        ...hmacKey, verifyUntil: new Date(Date.now() + 60000).toISOString()
+      }];
+      push._loadKeys();
+
+      const {token: newToken} = await push.createPushToken({event});
+      newToken.split('.')[0].should.not.equal(token.split('.')[0]);
+      await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      await push.verifyPushToken({pushToken: newToken, expectedEvent: event});
+    });
+
+    it('rejects push tokens signed by a retired key', async () => {
+      const {token} = await push.createPushToken({event});
+      const {hmacKey} = bedrock.config.notify.push;
+      bedrock.config.notify.push.hmacKey = null;
+      bedrock.config.notify.push.hmacKeys = [newKey, {
+        ...hmacKey, verifyUntil: new Date(Date.now() - 1000).toISOString()
+      }];
+      push._loadKeys();
+
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.cause.message.should.include('retired');
+    });
+  });
+
+  describe('signature keys', () => {
+    const event = 'exchangeUpdated';
+    let pushConfig;
+    beforeEach(() => {
+      pushConfig = structuredClone(bedrock.config.notify.push);
+    });
+    afterEach(() => {
+      bedrock.config.notify.push = pushConfig;
+      push._loadKeys();
+    });
+
+    for(const [type, header, options] of [
+      ['Ed25519', [0x80, 0x26], ['ed25519']],
+      ['P-256', [0x86, 0x26], ['ec', {namedCurve: 'P-256'}]]
+    ]) {
+      it(`signs push tokens with an ${type} key`, async () => {
+        const {privateKey} = crypto.generateKeyPairSync(...options);
+        const {d} = privateKey.export({format: 'jwk'});
+        bedrock.config.notify.push.signatureKeys = [{
+          id: 'urn:test:signatureKey',
+          secretKeyMultibase: 'u' + Buffer.concat([
+            Buffer.from(header), Buffer.from(d, 'base64url')
+          ]).toString('base64url')
+        }];
+        push._loadKeys();
+
+        const {token} = await push.createPushToken({event});
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+
+        // third parties can verify the signature with the public key
+        const [publicKey] = push.getPublicKeys();
+        publicKey.id.should.equal('urn:test:signatureKey');
+        const [keyId, payload, signature] = token.split('.');
+        crypto.verify(
+          type === 'Ed25519' ? null : 'sha256',
+          Buffer.from(`${keyId.slice(1)}.${payload.slice(1)}`),
+          {key: crypto.createPublicKey(privateKey), dsaEncoding: 'ieee-p1363'},
+          Buffer.from(signature.slice(1), 'base64url')).should.equal(true);
+      });
+    }
+  });
+
+  describe('limited uses', () => {
+    const event = 'exchangeUpdated';
+
+    it('rejects reuse of a one-time push token', async () => {
+      const {token} = await push.createPushToken({event, oneTime: true});
+      await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.cause.message.should.include('already been used');
+    });
+
+    it('allows a push token to be used up to "maxUses" times', async () => {
+      const {token} = await push.createPushToken({event, maxUses: 2});
+      await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.cause.message.should.include('already been used');
+    });
+
+    it('does not count uses with an invalid signature', async () => {
+      const {token} = await push.createPushToken({event, oneTime: true});
+      const [keyId, payload] = token.split('.');
+      const forged = `${keyId}.${payload}.u${'A'.repeat(43)}`;
+      await push.verifyPushToken({
+        pushToken: forged, expectedEvent: event
+      }).catch(() => {});
+      await push.verifyPushToken({pushToken: token, expectedEvent: event});
+    });
+  });
+
+  describe('revocation', () => {
+    it('rejects a revoked push token', async () => {
+      const event = 'exchangeUpdated';
+      const {token} = await push.createPushToken({
+        event, claims: {resourceId: 'urn:test:revoked:1'}
+      });
+      await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      await push.revokePushToken({pushToken: token});
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.cause.message.should.include('revoked');
+    });
+
+    it('rejects push tokens revoked by event and issuance', async () => {
+      const event = 'revokedEvent';
+      const {token: other} = await push.createPushToken({
+        event: 'otherEvent'
+      });
+      const {token} = await push.createPushToken({event});
+      await push.revokePushTokens({
+        event, issuedAfter: new Date(Date.now() - 60000),
+        expires: new Date(Date.now() + 60000)
+      });
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.cause.message.should.include('revoked');
+      await push.verifyPushToken({
+        pushToken: other, expectedEvent: 'otherEvent'
+      });
+    });
+  });
+
+  describe('storage failures', () => {
+    const event = 'exchangeUpdated';
+    afterEach(() => {
+      const {caches} = bedrock.config.notify;
+      push.setPushTokenUseStorage({
+        storage: memoryStorage.createPushTokenUseStorage({
+          max: caches.pushTokenUse.max
+        })
+      });
+      push.setPushTokenRevocationStorage({
+        storage: memoryStorage.createPushTokenRevocationStorage({
+          max: caches.pushTokenRevocation.max
+        })
+      });
+    });
+
+    it('does not report a use storage failure as used up', async () => {
+      let uses = 0;
+      push.setPushTokenUseStorage({
+        storage: {
+          async use() {
+            uses++;
+            throw new Error('Database unavailable.');
+          }
+        }
+      });
+      const {token} = await push.createPushToken({event, oneTime: true});
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.details.httpStatusCode.should.equal(503);
+      should.not.exist(error.details.reason);
+      uses.should.equal(1);
+    });
+
+    it('passes through a 5xx error from use storage', async () => {
+      push.setPushTokenUseStorage({
+        storage: memoryStorage.createPushTokenUseStorage({max: 0})
+      });
+      const {token} = await push.createPushToken({event, oneTime: true});
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('QuotaExceededError');
+      error.details.httpStatusCode.should.equal(503);
+    });
+
+    it('does not report a revocation storage failure as revoked', async () => {
+      push.setPushTokenRevocationStorage({
+        storage: {
+          async revoke() {},
+          async revokeMatching() {},
+          async isRevoked() {
+            throw new Error('Database unavailable.');
+          }
+        }
+      });
+      const {token} = await push.createPushToken({event});
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.details.httpStatusCode.should.equal(503);
+      should.not.exist(error.details.reason);
+    });
+  });
+
+  describe('lifetime policy', () => {
+    const event = 'exchangeUpdated';
+
+    it('rejects creating a push token with too long a lifetime', async () => {
+      const {max} = bedrock.config.notify.push.lifetime;
+      let error;
+      try {
+        await push.createPushToken({
+          event, expires: new Date(Date.now() + max + 60000)
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('ConstraintError');
+    });
+
+    it('rejects a push token before its "notBefore" date', async () => {
+      const {maxClockSkew} = bedrock.config.notify.push;
+      const {token} = await push.createPushToken({
+        event, notBefore: new Date(Date.now() + maxClockSkew + 60000)
+      });
+      let error;
+      try {
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.details.reason.should.equal('notYetValid');
+    });
+
+    it('rejects an expired push token', async () => {
+      const {token} = await push.createPushToken({
+        event, expires: new Date(Date.now() + 100)
+      });
+      const {maxClockSkew} = bedrock.config.notify.push;
+      bedrock.config.notify.push.maxClockSkew = 0;
+      let error;
+      try {
+        await new Promise(r => setTimeout(r, 200));
+        await push.verifyPushToken({pushToken: token, expectedEvent: event});
+      } catch(e) {
+        error = e;
+      } finally {
+        bedrock.config.notify.push.maxClockSkew = maxClockSkew;
+      }
+      should.exist(error);
+      error.details.reason.should.equal('expired');
+    });
+  });
+
+  describe('callback URLs', () => {
+    const event = 'exchangeUpdated';
+
+    it('creates and parses a callback URL', async () => {
+      const {baseUri} = bedrock.config.server;
+      const {url, token} = await push.createCallbackUrl({
+        event, claims: {resourceId: 'urn:test:callback:1'}
+      });
+      url.should.equal(`${baseUri}/callbacks/${token}`);
+
+      const result = await push.parseCallbackUrl({
+        url, expectedEvent: event,
+        expectedClaims: {resourceId: 'urn:test:callback:1'}
+      });
+      result.pushToken.should.equal(token);
+      result.event.should.equal(event);
+      result.params.should.deep.equal({});
+    });
+
+    it('encodes other path template parameters', async () => {
+      const path = '/workflows/:workflowId/callbacks/:pushToken';
+      const baseUrl = 'https://example.com/app/';
+      const {url, token} = await push.createCallbackUrl({
+        event, path, params: {workflowId: 'a b/c'}, baseUrl
+      });
+      url.should.equal(
+        `https://example.com/app/workflows/a%20b%2Fc/callbacks/${token}`);
+
+      const result = await push.parseCallbackUrl({
+        url, path, baseUrl, expectedEvent: event
+      });
+      result.params.should.deep.equal({workflowId: 'a b/c'});
+    });
+
+    it('rejects a path template without a push token', async () => {
+      let error;
+      try {
+        await push.createCallbackUrl({event, path: '/callbacks'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+    });
+
+    it('rejects a URL that does not match the path template', async () => {
+      const {url} = await push.createCallbackUrl({event});
+      let error;
+      try {
+        await push.parseCallbackUrl({
+          url, path: '/hooks/:pushToken', expectedEvent: event
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DataError');
+    });
+  });
 });
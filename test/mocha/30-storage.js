@@ -0,0 +1,166 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {memoryStorage, mongodbStorage} from '@bedrock/notify';
+
+describe('storage', () => {
+  const storages = {
+    memory: () => memoryStorage.createPollResultStorage({
+      max: 10, ttl: 30000
+    }),
+    mongodb: () => mongodbStorage.createPollResultStorage({
+      ttl: 30000, collectionName: 'notify-pollResult-test'
+    })
+  };
+  for(const [type, createStorage] of Object.entries(storages)) {
+    describe(type, () => {
+      let storage;
+      beforeEach(async () => {
+        storage = await createStorage();
+        await storage.clear();
+      });
+
+      it('stores and gets a poll result', async () => {
+        const result = {
+          id: 'urn:test:1', sequence: 1, mutable: true,
+          value: {exchange: {state: 'pending'}}
+        };
+        const stored = await storage.set({id: result.id, result});
+        stored.should.deep.equal(result);
+        const found = await storage.get({id: result.id});
+        found.should.deep.equal(result);
+      });
+
+      it('returns undefined for an unknown poll result', async () => {
+        const found = await storage.get({id: 'urn:test:unknown'});
+        should.not.exist(found);
+      });
+
+      it('updates matching poll results', async () => {
+        for(const id of ['urn:test:a:1', 'urn:test:a:2', 'urn:test:b:1']) {
+          const result = {id, sequence: 1, mutable: false, value: {id}};
+          await storage.set({id, result});
+        }
+        const count = await storage.updateMany({
+          prefix: 'urn:test:a:',
+          filter: result => result.value.id !== 'urn:test:a:2',
+          update: result => ({...result, mutable: true})
+        });
+        count.should.equal(1);
+        const a1 = await storage.get({id: 'urn:test:a:1'});
+        a1.mutable.should.equal(true);
+        const a2 = await storage.get({id: 'urn:test:a:2'});
+        a2.mutable.should.equal(false);
+        const b1 = await storage.get({id: 'urn:test:b:1'});
+        b1.mutable.should.equal(false);
+      });
+
+      it('deletes a poll result', async () => {
+        const result = {
+          id: 'urn:test:2', sequence: 1, mutable: true, value: {}
+        };
+        await storage.set({id: result.id, result});
+        const deleted = await storage.delete({id: result.id});
+        deleted.should.equal(true);
+        const found = await storage.get({id: result.id});
+        should.not.exist(found);
+      });
+    });
+  }
+
+  it('does not replace a result with a greater sequence', async () => {
+    const storage = await storages.mongodb();
+    await storage.clear();
+
+    const id = 'urn:test:3';
+    const newer = {
+      id, sequence: 2, mutable: true, value: {state: 'b'}, digest: 'b'
+    };
+    const older = {
+      id, sequence: 1, mutable: true, value: {state: 'a'}, digest: 'a'
+    };
+    const conflict = {
+      id, sequence: 2, mutable: true, value: {state: 'c'}, digest: 'c'
+    };
+    await storage.set({id, result: newer});
+
+    let stored = await storage.set({id, result: older});
+    stored.should.deep.equal(newer);
+    stored = await storage.set({id, result: conflict});
+    stored.should.deep.equal(newer);
+    const found = await storage.get({id});
+    found.should.deep.equal(newer);
+  });
+
+  it('continues the sequence of an expired result', async () => {
+    const storage = await storages.mongodb();
+    await storage.clear();
+
+    const id = 'urn:test:4';
+    const expired = {
+      id, sequence: 5, mutable: true, value: {state: 'a'}, digest: 'a'
+    };
+    const fresh = {
+      id, sequence: 1, mutable: true, value: {state: 'b'}, digest: 'b'
+    };
+    await storage.set({id, result: expired, ttl: 1});
+    await new Promise(r => setTimeout(r, 10));
+
+    const stored = await storage.set({id, result: fresh});
+    stored.should.deep.equal({...fresh, sequence: 6});
+    const found = await storage.get({id});
+    found.should.deep.equal({...fresh, sequence: 6});
+  });
+
+  describe('push token use', () => {
+    const storages = {
+      memory: () => memoryStorage.createPushTokenUseStorage({max: 10}),
+      mongodb: () => mongodbStorage.createPushTokenUseStorage({
+        collectionName: 'notify-pushTokenUse-test'
+      })
+    };
+    for(const [type, createStorage] of Object.entries(storages)) {
+      it(`counts uses of a push token in ${type} storage`, async () => {
+        const storage = await createStorage();
+        const id = `urn:test:nonce:${Date.now()}`;
+        const expires = Date.now() + 60000;
+        (await storage.use({id, expires})).should.equal(1);
+        (await storage.use({id, expires})).should.equal(2);
+        (await storage.use({id: `${id}:2`, expires})).should.equal(1);
+      });
+    }
+  });
+
+  describe('push token revocation', () => {
+    const storages = {
+      memory: () => memoryStorage.createPushTokenRevocationStorage({max: 10}),
+      mongodb: () => mongodbStorage.createPushTokenRevocationStorage({
+        collectionName: 'notify-pushTokenRevocation-test'
+      })
+    };
+    for(const [type, createStorage] of Object.entries(storages)) {
+      it(`records revocations in ${type} storage`, async () => {
+        const storage = await createStorage();
+        const id = `urn:test:token:${Date.now()}`;
+        const event = `event-${Date.now()}`;
+        const expires = Date.now() + 60000;
+        const issued = Date.now();
+
+        (await storage.isRevoked({id, event, issued})).should.equal(false);
+        await storage.revoke({id, expires});
+        (await storage.isRevoked({id, event, issued})).should.equal(true);
+
+        const other = `${id}:2`;
+        await storage.revokeMatching({
+          event, issuedAfter: issued - 1000, issuedBefore: issued + 1000
+        });
+        (await storage.isRevoked({id: other, event, issued}))
+          .should.equal(true);
+        (await storage.isRevoked({id: other, event, issued: issued - 2000}))
+          .should.equal(false);
+        (await storage.isRevoked({id: other, event: 'other', issued}))
+          .should.equal(false);
+      });
+    }
+  });
+});
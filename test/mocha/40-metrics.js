@@ -0,0 +1,67 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {getStats, poll, push} from '@bedrock/notify';
+import {httpClient} from '@digitalbazaar/http-client';
+import {httpsAgent} from '@bedrock/https-agent';
+
+describe('metrics', () => {
+  it('counts poll cache hits, misses, and coalesced calls', async () => {
+    const id = 'urn:test:metrics:1';
+    const poller = async () => {
+      await new Promise(r => setTimeout(r, 50));
+      return {mutable: true, value: {}};
+    };
+
+    const before = getStats();
+    await Promise.all([poll({id, poller}), poll({id, poller})]);
+    await poll({id, poller});
+    const after = getStats();
+
+    (after.pollCacheMisses - before.pollCacheMisses).should.equal(2);
+    (after.pollsCoalesced - before.pollsCoalesced).should.equal(1);
+    (after.pollCacheHits - before.pollCacheHits).should.equal(1);
+    (after.pollerDuration.count - before.pollerDuration.count)
+      .should.equal(1);
+    after.pollerDuration.buckets.at(-1).count.should.equal(
+      after.pollerDuration.count);
+  });
+
+  it('counts poller errors', async () => {
+    const id = 'urn:test:metrics:2';
+    const poller = async () => {
+      throw new Error('Server unavailable.');
+    };
+
+    const before = getStats().pollerErrors.error ?? 0;
+    await poll({id, poller}).catch(() => {});
+    getStats().pollerErrors.error.should.equal(before + 1);
+  });
+
+  it('counts push token verifications by result', async () => {
+    const event = 'exchangeUpdated';
+    const {token} = await push.createPushToken({event});
+
+    const before = getStats().pushTokenVerifications;
+    await push.verifyPushToken({pushToken: token, expectedEvent: event});
+    await push.verifyPushToken({
+      pushToken: token, expectedEvent: 'other'
+    }).catch(() => {});
+    const after = getStats().pushTokenVerifications;
+
+    after.valid.should.equal((before.valid ?? 0) + 1);
+    after.eventMismatch.should.equal((before.eventMismatch ?? 0) + 1);
+  });
+
+  it('serves metrics in Prometheus text format', async () => {
+    const {baseUri} = bedrock.config.server;
+    const response = await httpClient.get(`${baseUri}/metrics`, {
+      agent: httpsAgent,
+      headers: {accept: 'text/plain'}
+    });
+    const text = await response.text();
+    text.should.include('# TYPE bedrock_notify_poll_cache_hits_total counter');
+    text.should.include('bedrock_notify_poller_duration_seconds_bucket');
+  });
+});
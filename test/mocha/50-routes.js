@@ -0,0 +1,162 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {getStats, push, zcapClient} from '@bedrock/notify';
+import {httpClient} from '@digitalbazaar/http-client';
+import {httpsAgent} from '@bedrock/https-agent';
+
+describe('createPollRoute()', () => {
+  let capability;
+  let pollUrl;
+  before(async () => {
+    const {baseUri} = bedrock.config.server;
+    const target = `${baseUri}/workflows/1/exchanges`;
+    capability = `urn:zcap:root:${encodeURIComponent(target)}`;
+
+    // create an exchange
+    const response = await zcapClient.write({
+      json: {ttl: 5 * 60, variables: {}},
+      capability
+    });
+    const exchangeId = response.headers.get('location');
+    const localExchangeId = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+    pollUrl = `${baseUri}/poll/exchanges/${localExchangeId}`;
+  });
+
+  it('returns a poll result with an ETag', async () => {
+    const response = await httpClient.post(pollUrl, {
+      agent: httpsAgent,
+      json: {}
+    });
+    response.status.should.equal(200);
+    response.data.sequence.should.be.a('number');
+    response.data.value.should.deep.equal({exchange: {state: 'pending'}});
+    response.headers.get('etag').should.equal(`"${response.data.digest}"`);
+    response.headers.get('cache-control').should.include('max-age=');
+  });
+
+  it('sets max-age to the remaining TTL of the poll result', async () => {
+    const {data: {polled}} = await httpClient.post(pollUrl, {
+      agent: httpsAgent,
+      json: {}
+    });
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    const response = await httpClient.post(pollUrl, {
+      agent: httpsAgent,
+      json: {}
+    });
+    // the cached result is returned, so it is now at least a second older
+    response.data.polled.should.equal(polled);
+    const {ttl} = bedrock.config.notify.caches.pollResult;
+    const maxAge = Math.floor((ttl - (Date.now() - polled)) / 1000);
+    const cacheControl = response.headers.get('cache-control');
+    cacheControl.should.not.include('immutable');
+    const [, actual] = cacheControl.match(/max-age=(\d+)/);
+    parseInt(actual, 10).should.be.within(maxAge, Math.floor(ttl / 1000) - 1);
+  });
+
+  it('returns 304 when the ETag matches', async () => {
+    const {data: {digest}} = await httpClient.post(pollUrl, {
+      agent: httpsAgent,
+      json: {}
+    });
+    const response = await httpClient.post(pollUrl, {
+      agent: httpsAgent,
+      json: {},
+      headers: {'if-none-match': `"${digest}"`}
+    });
+    response.status.should.equal(304);
+  });
+
+  it('rejects an unauthorized request', async () => {
+    let error;
+    try {
+      await httpClient.post(pollUrl, {
+        agent: httpsAgent,
+        json: {},
+        headers: {authorization: 'denied'}
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.status.should.equal(403);
+    error.data.name.should.equal('NotAllowedError');
+  });
+
+  it('rejects an invalid request body', async () => {
+    let error;
+    try {
+      await httpClient.post(pollUrl, {
+        agent: httpsAgent,
+        json: {afterSequence: 'invalid'}
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.status.should.equal(400);
+  });
+});
+
+describe('createPushCallbackRoute()', () => {
+  let callbackBaseUrl;
+  let exchangeId;
+  before(async () => {
+    const {baseUri} = bedrock.config.server;
+    const target = `${baseUri}/workflows/1/exchanges`;
+    const capability = `urn:zcap:root:${encodeURIComponent(target)}`;
+    callbackBaseUrl = `${baseUri}/push-callbacks`;
+
+    const response = await zcapClient.write({
+      json: {ttl: 5 * 60, variables: {}},
+      capability
+    });
+    exchangeId = response.headers.get('location');
+  });
+
+  it('triggers a fresh poll and debounces repeated callbacks', async () => {
+    const {token} = await push.createPushToken({event: 'exchangeUpdated'});
+    const url = `${callbackBaseUrl}/${token}`;
+    const json = {event: {data: {exchangeId}}};
+
+    const before = getStats().pollCacheMisses;
+    let response = await httpClient.post(url, {agent: httpsAgent, json});
+    response.status.should.equal(204);
+    response = await httpClient.post(url, {agent: httpsAgent, json});
+    response.status.should.equal(204);
+    await new Promise(r => setTimeout(r, 100));
+    // the second callback is deferred to the end of the debounce interval
+    (getStats().pollCacheMisses - before).should.equal(1);
+  });
+
+  it('rejects an invalid push token', async () => {
+    let error;
+    try {
+      await httpClient.post(`${callbackBaseUrl}/invalid`, {
+        agent: httpsAgent,
+        json: {event: {data: {exchangeId}}}
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.status.should.equal(400);
+  });
+
+  it('rejects an invalid push event', async () => {
+    const {token} = await push.createPushToken({event: 'exchangeUpdated'});
+    let error;
+    try {
+      await httpClient.post(`${callbackBaseUrl}/${token}`, {
+        agent: httpsAgent,
+        json: {event: 'invalid'}
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.status.should.equal(400);
+  });
+});
@@ -0,0 +1,92 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import https from 'node:https';
+import {httpsAgent} from '@bedrock/https-agent';
+import {zcapClient} from '@bedrock/notify';
+
+describe('serverEvents', () => {
+  let eventsUrl;
+  before(async () => {
+    const {baseUri} = bedrock.config.server;
+    const target = `${baseUri}/workflows/1/exchanges`;
+    const capability = `urn:zcap:root:${encodeURIComponent(target)}`;
+
+    // create an exchange
+    const response = await zcapClient.write({
+      json: {ttl: 5 * 60, variables: {}},
+      capability
+    });
+    const exchangeId = response.headers.get('location');
+    const localExchangeId = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+    eventsUrl = `${baseUri}/events/exchanges/${localExchangeId}`;
+  });
+
+  it('streams poll results as server events', async () => {
+    const {headers, text} = await _readEvents({url: eventsUrl});
+    headers['content-type'].should.include('text/event-stream');
+    text.should.match(/^retry: \d+\n\n/);
+    const [, sequence, data] = text.match(/id: (\d+)\ndata: (.*)\n\n/);
+    const result = JSON.parse(data);
+    result.sequence.should.equal(parseInt(sequence, 10));
+    result.value.should.deep.equal({exchange: {state: 'pending'}});
+  });
+
+  it('resumes after "Last-Event-ID"', async () => {
+    const {text} = await _readEvents({url: eventsUrl});
+    const [, sequence] = text.match(/id: (\d+)\n/);
+
+    // no new result is available, so no event is sent
+    const {text: resumed} = await _readEvents({
+      url: eventsUrl, headers: {'last-event-id': sequence}
+    });
+    resumed.should.not.include('data:');
+  });
+
+  describe('quotas', () => {
+    let quotasConfig;
+    beforeEach(() => {
+      quotasConfig = bedrock.config.notify.quotas;
+      bedrock.config.notify.quotas = {
+        ...quotasConfig,
+        prefixes: {client: {rate: {max: 1, interval: 60000}}}
+      };
+    });
+    afterEach(() => {
+      bedrock.config.notify.quotas = quotasConfig;
+    });
+
+    it('rejects a stream that exceeds a quota', async () => {
+      const {baseUri} = bedrock.config.server;
+      const headers = {'x-client-id': 'server-events-quota'};
+
+      // each stream starts a new polling loop, which counts against the quota
+      const first = await _readEvents({
+        url: `${baseUri}/events/exchanges/quota-1`, headers
+      });
+      first.status.should.equal(200);
+      const second = await _readEvents({
+        url: `${baseUri}/events/exchanges/quota-2`, headers
+      });
+      second.status.should.equal(429);
+      second.text.should.include('QuotaExceededError');
+    });
+  });
+});
+
+// reads from a server events stream for a short time
+function _readEvents({url, headers = {}}) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, {agent: httpsAgent, headers}, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => text += chunk);
+      setTimeout(() => {
+        req.destroy();
+        resolve({status: res.statusCode, headers: res.headers, text});
+      }, 500);
+    });
+    req.on('error', reject);
+  });
+}
@@ -0,0 +1,90 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {hub} from '@bedrock/notify';
+
+describe('hub', () => {
+  it('shares one polling loop among subscribers', async () => {
+    const id = 'urn:test:hub:1';
+    let calls = 0;
+    const poller = async () => {
+      calls++;
+      return {mutable: false, value: {calls}};
+    };
+
+    const received = await Promise.all([1, 2, 3].map(() => new Promise(
+      (resolve, reject) => {
+        const {unsubscribe} = hub.subscribe({
+          id, poller,
+          onResult(result) {
+            unsubscribe();
+            resolve(result);
+          },
+          onError: reject
+        });
+      })));
+    calls.should.equal(1);
+    for(const result of received) {
+      result.value.should.deep.equal({calls: 1});
+    }
+    hub.getSubscriberCounts().should.not.have.property(`default:${id}`);
+  });
+
+  it('stops the loop once the last subscriber leaves', async () => {
+    const id = 'urn:test:hub:2';
+    const poller = async () => ({mutable: true, value: {}});
+
+    const {unsubscribe} = hub.subscribe({id, poller, onResult() {}});
+    hub.getSubscriberCounts()[`default:${id}`].should.equal(1);
+    unsubscribe();
+    hub.getSubscriberCounts().should.not.have.property(`default:${id}`);
+  });
+
+  it('delivers an error to every subscriber', async () => {
+    const id = 'urn:test:hub:3';
+    const poller = async () => {
+      throw new Error('Server unavailable.');
+    };
+
+    const errors = await Promise.all([1, 2].map(() => new Promise(
+      resolve => hub.subscribe({
+        id, poller, onResult() {}, onError: resolve
+      }))));
+    errors[0].should.equal(errors[1]);
+    errors[0].message.should.equal('Server unavailable.');
+  });
+
+  it('counts starting a loop against quotas', async () => {
+    const quotasConfig = bedrock.config.notify.quotas;
+    bedrock.config.notify.quotas = {
+      ...quotasConfig,
+      default: {rate: {max: 1, interval: 60000}, concurrency: 1}
+    };
+    const quotaKey = 'ip:192.0.2.10';
+    const poller = async () => ({mutable: true, value: {}});
+    const subscriptions = [];
+    try {
+      subscriptions.push(hub.subscribe({
+        id: 'urn:test:hub:4', poller, quotaKey, onResult() {}
+      }));
+      // joining a running loop does not count against quotas
+      subscriptions.push(hub.subscribe({
+        id: 'urn:test:hub:4', poller, quotaKey, onResult() {}
+      }));
+      let error;
+      try {
+        hub.subscribe({id: 'urn:test:hub:5', poller, quotaKey, onResult() {}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('QuotaExceededError');
+      hub.getSubscriberCounts().should.not.have.property(
+        'default:urn:test:hub:5');
+    } finally {
+      bedrock.config.notify.quotas = quotasConfig;
+      subscriptions.forEach(({unsubscribe}) => unsubscribe());
+    }
+  });
+});
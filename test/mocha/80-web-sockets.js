@@ -0,0 +1,137 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {WebSocket} from 'ws';
+import {zcapClient} from '@bedrock/notify';
+
+describe('createWebSocketRoute()', () => {
+  let exchangeId;
+  let ws;
+  let messages;
+  before(async () => {
+    const {baseUri} = bedrock.config.server;
+    const target = `${baseUri}/workflows/1/exchanges`;
+    const capability = `urn:zcap:root:${encodeURIComponent(target)}`;
+
+    // create an exchange
+    const response = await zcapClient.write({
+      json: {ttl: 5 * 60, variables: {}},
+      capability
+    });
+    exchangeId = response.headers.get('location');
+  });
+  beforeEach(async () => {
+    ws = await _connect();
+  });
+  afterEach(() => {
+    ws.close();
+  });
+
+  it('sends results for a subscription', async () => {
+    ws.send(JSON.stringify({type: 'subscribe', id: exchangeId}));
+    const message = await _nextMessage();
+    message.type.should.equal('result');
+    message.id.should.equal(exchangeId);
+    message.sequence.should.be.a('number');
+    message.mutable.should.equal(true);
+    message.value.should.deep.equal({exchange: {state: 'pending'}});
+  });
+
+  it('rejects an unauthorized subscription', async () => {
+    const id = 'https://unauthorized.example/exchanges/1';
+    ws.send(JSON.stringify({type: 'subscribe', id}));
+    const message = await _nextMessage();
+    message.type.should.equal('error');
+    message.id.should.equal(id);
+    message.error.name.should.equal('NotAllowedError');
+  });
+
+  it('rejects an invalid message', async () => {
+    ws.send('not JSON');
+    const message = await _nextMessage();
+    message.type.should.equal('error');
+    message.error.name.should.equal('SyntaxError');
+  });
+
+  it('closes the connection after an oversized message', async () => {
+    const closed = new Promise(resolve => ws.once('close', resolve));
+    ws.send('x'.repeat(64 * 1024 + 1));
+    const code = await closed;
+    code.should.equal(1009);
+
+    // the server keeps running and accepts new connections
+    ws = await _connect();
+    ws.send(JSON.stringify({type: 'subscribe', id: exchangeId}));
+    const message = await _nextMessage();
+    message.type.should.equal('result');
+  });
+
+  it('rejects a connection from a disallowed origin', async () => {
+    let error;
+    try {
+      await _connect({origin: 'https://other.example'});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.message.should.include('403');
+  });
+
+  it('accepts a connection from an allowed origin', async () => {
+    const {origin} = new URL(bedrock.config.server.baseUri);
+    const socket = await _connect({origin});
+    socket.close();
+  });
+
+  describe('quotas', () => {
+    let quotasConfig;
+    beforeEach(() => {
+      quotasConfig = bedrock.config.notify.quotas;
+      bedrock.config.notify.quotas = {
+        ...quotasConfig,
+        prefixes: {client: {rate: {max: 1, interval: 60000}}}
+      };
+    });
+    afterEach(() => {
+      bedrock.config.notify.quotas = quotasConfig;
+    });
+
+    it('rejects a subscription that exceeds a quota', async () => {
+      ws.close();
+      ws = await _connect({headers: {'x-client-id': 'web-sockets-quota'}});
+
+      // each subscription starts a new polling loop, which counts against the
+      // quota
+      const ids = [`${exchangeId}/quota/1`, `${exchangeId}/quota/2`];
+      for(const id of ids) {
+        ws.send(JSON.stringify({type: 'subscribe', id}));
+      }
+      const received = [await _nextMessage(), await _nextMessage()];
+      const message = received.find(({id}) => id === ids[1]);
+      message.type.should.equal('error');
+      message.error.name.should.equal('QuotaExceededError');
+    });
+  });
+
+  async function _connect({headers, origin} = {}) {
+    const url = bedrock.config.server.baseUri.replace(/^https/, 'wss');
+    const socket = new WebSocket(`${url}/watch/exchanges`, {
+      rejectUnauthorized: false, headers, origin
+    });
+    messages = [];
+    socket.on('message', data => messages.push(JSON.parse(data)));
+    await new Promise((resolve, reject) => {
+      socket.once('open', resolve);
+      socket.once('error', reject);
+    });
+    return socket;
+  }
+
+  async function _nextMessage() {
+    while(messages.length === 0) {
+      await new Promise(r => setTimeout(r, 50));
+    }
+    return messages.shift();
+  }
+});
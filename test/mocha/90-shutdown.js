@@ -0,0 +1,153 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {poll, pollHelpers, zcapClient} from '@bedrock/notify';
+import {httpClient} from '@digitalbazaar/http-client';
+import https from 'node:https';
+import {httpsAgent} from '@bedrock/https-agent';
+import {WebSocket} from 'ws';
+
+describe('shutdown', () => {
+  let exchangeId;
+  let localExchangeId;
+  let shutdownConfig;
+  before(async () => {
+    const {baseUri} = bedrock.config.server;
+    const target = `${baseUri}/workflows/1/exchanges`;
+    const capability = `urn:zcap:root:${encodeURIComponent(target)}`;
+
+    // create an exchange
+    const response = await zcapClient.write({
+      json: {ttl: 5 * 60, variables: {}},
+      capability
+    });
+    exchangeId = response.headers.get('location');
+    localExchangeId = exchangeId.slice(exchangeId.lastIndexOf('/') + 1);
+  });
+  beforeEach(() => {
+    shutdownConfig = bedrock.config.notify.shutdown;
+    bedrock.config.notify.shutdown = {...shutdownConfig, drainTimeout: 5000};
+  });
+  afterEach(() => {
+    bedrock.config.notify.shutdown = shutdownConfig;
+    pollHelpers._resetStopping();
+  });
+
+  it('drains in-flight polling operations', async () => {
+    const poller = async () => {
+      await new Promise(r => setTimeout(r, 200));
+      return {mutable: true, value: {drained: true}};
+    };
+    const promise = poll({id: 'urn:test:shutdown:1', poller});
+
+    const start = Date.now();
+    await pollHelpers._stop();
+    // stopping waits for the operation, not for the whole drain timeout
+    (Date.now() - start).should.be.below(1000);
+    const result = await promise;
+    result.value.should.deep.equal({drained: true});
+  });
+
+  it('aborts polling operations after the drain timeout', async () => {
+    bedrock.config.notify.shutdown.drainTimeout = 100;
+    // a poller that ignores its abort signal and never completes
+    const poller = () => new Promise(() => {});
+    const promise = poll({id: 'urn:test:shutdown:2', poller});
+
+    await pollHelpers._stop();
+    let error;
+    try {
+      await promise;
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+  });
+
+  it('ends long-polling operations early', async () => {
+    const id = 'urn:test:shutdown:3';
+    const poller = async () => ({mutable: true, value: {}});
+    const {sequence} = await poll({id, poller});
+    const promise = poll({id, poller, afterSequence: sequence});
+    // let the long-polling operation start waiting for a new result
+    await new Promise(r => setTimeout(r, 50));
+
+    await pollHelpers._stop();
+    const result = await promise;
+    result.sequence.should.equal(sequence);
+  });
+
+  it('rejects new polls with a 503 error while stopping', async () => {
+    await pollHelpers._stop();
+
+    let error;
+    try {
+      await poll({
+        id: 'urn:test:shutdown:4',
+        poller: async () => ({mutable: true, value: {}})
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('InvalidStateError');
+    error.details.httpStatusCode.should.equal(503);
+
+    error = undefined;
+    try {
+      const {baseUri} = bedrock.config.server;
+      await httpClient.post(`${baseUri}/poll/exchanges/${localExchangeId}`, {
+        agent: httpsAgent,
+        json: {}
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.status.should.equal(503);
+    error.data.name.should.equal('InvalidStateError');
+  });
+
+  it('sends a reconnect event to server events streams', async () => {
+    const {baseUri} = bedrock.config.server;
+    const url = `${baseUri}/events/exchanges/${localExchangeId}`;
+    const text = await new Promise((resolve, reject) => {
+      const req = https.get(url, {agent: httpsAgent}, res => {
+        let text = '';
+        let stopping = false;
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          text += chunk;
+          // stop once the first result has been received
+          if(!stopping && text.includes('data:')) {
+            stopping = true;
+            pollHelpers._stop().catch(reject);
+          }
+        });
+        res.on('end', () => resolve(text));
+      });
+      req.on('error', reject);
+    });
+    text.should.include('event: reconnect\n');
+  });
+
+  it('closes WebSocket connections with code 1012', async () => {
+    const url = bedrock.config.server.baseUri.replace(/^https/, 'wss');
+    const ws = new WebSocket(`${url}/watch/exchanges`, {
+      rejectUnauthorized: false
+    });
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+    ws.send(JSON.stringify({type: 'subscribe', id: exchangeId}));
+    await new Promise(resolve => ws.once('message', resolve));
+
+    const closed = new Promise(resolve => ws.once('close', resolve));
+    await pollHelpers._stop();
+    const code = await closed;
+    code.should.equal(1012);
+  });
+});
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2024-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2024-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import {
@@ -8,7 +8,10 @@ import {
   barcodeToEnvelopedCredential,
   documentLoaders, middleware, verify
 } from '@bedrock/vcb-verifier';
-import {poll, pollers, push} from '@bedrock/notify';
+import {
+  createPollRoute, createPushCallbackRoute, createWebSocketRoute, poll,
+  pollers, push, serverEvents
+} from '@bedrock/notify';
 import {asyncHandler} from '@bedrock/express';
 import canonicalize from 'canonicalize';
 import cors from 'cors';
@@ -27,6 +30,9 @@ import {mockData} from './mocha/mock.data.js';
 // in-memory exchanges only used during testing
 const EXCHANGES = new Map();
 
+// count of open requests to the hung mock exchange server
+let hungRequests = 0;
+
 const TEXT_DECODER = new TextDecoder();
 
 let pollExchange;
@@ -85,7 +91,7 @@ bedrock.events.on('bedrock.init', async () => {
   });
 });
 
-bedrock.events.on('bedrock-express.configure.routes', app => {
+bedrock.events.on('bedrock-express.configure.routes', async app => {
   const documentLoader = documentLoaders.get({name: 'test'});
 
   // mock capability for communicating w/mock VC-API exchange server below
@@ -236,6 +242,51 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
       res.json({exchange});
     }));
 
+  // mock exchange server that never responds, to test aborting requests
+  app.get('/hung/exchanges/:localExchangeId', (req, res) => {
+    hungRequests++;
+    res.on('close', () => hungRequests--);
+  });
+  app.get('/hung/requests', (req, res) => {
+    res.json({count: hungRequests});
+  });
+
+  // poll route for the mock VC-API exchange server; exchanges can only be
+  // polled by clients that know the (unguessable) local exchange ID
+  await createPollRoute({
+    app,
+    path: '/poll/exchanges/:localExchangeId',
+    poller: pollExchange,
+    getId: ({req}) => `${target}/${req.params.localExchangeId}`,
+    authorize: ({req}) => req.get('authorization') !== 'denied'
+  });
+
+  // server events route for the mock VC-API exchange server
+  app.get(
+    '/events/exchanges/:localExchangeId',
+    asyncHandler(async (req, res) => {
+      const id = `${target}/${req.params.localExchangeId}`;
+      await serverEvents.poll({
+        req, res, id, poller: pollExchange, quotaKey: _getQuotaKey({req})
+      });
+    }));
+
+  // WebSocket endpoint for the mock VC-API exchange server
+  await createWebSocketRoute({
+    path: '/watch/exchanges',
+    poller: pollExchange,
+    authorize: ({id}) => id.startsWith(`${target}/`),
+    getQuotaKey: _getQuotaKey
+  });
+
+  // push callback route that polls without blocking
+  await createPushCallbackRoute({
+    app,
+    path: '/push-callbacks/:pushToken',
+    event: 'exchangeUpdated',
+    poller: pollExchange
+  });
+
   // push event handler
   app.post(
     '/callbacks/:pushToken',
@@ -250,6 +301,13 @@ bedrock.events.on('bedrock-express.configure.routes', app => {
 import '@bedrock/test';
 bedrock.start();
 
+// quota key for the mock VC-API exchange server's clients; test clients
+// identify themselves via a header to get their own quotas
+function _getQuotaKey({req}) {
+  const clientId = req.headers['x-client-id'];
+  return clientId ? `client:${clientId}` : undefined;
+}
+
 function _parseEnvelope({envelope}) {
   const {id} = envelope;
   const format = {};